@@ -65,12 +65,33 @@ var ConfigWidgetFactory = class ConfigWidgetFactory {
     return box;
   }
 
+  // This creates a widget which can be used to choose one of several options. The 'name'
+  // and 'description' are shown above, 'options' is an array of [id, label] pairs and
+  // 'value' is the ID of the initially selected option. 'callback(id)' will be fired
+  // whenever another option is chosen. The function returns a Gtk.Box containing all the
+  // required widgets.
+  static createComboWidget(name, description, options, value, callback) {
+    const box = this.createConfigWidgetCaption(name, description);
+
+    const combo = new Gtk.ComboBoxText();
+    options.forEach(([id, label]) => combo.append(id, label));
+    combo.active_id = value;
+    utils.boxAppend(box, combo);
+
+    combo.connect('changed', (widget) => {
+      callback(widget.active_id);
+    });
+
+    return box;
+  }
+
   // This creates a widget which can be used to select a file. The 'name' and
   // 'description' are shown above, 'file' is the initial value, and 'callback(file,
   // name, icon)' will be fired whenever a new application is selected. The function
   // returns a Gtk.Box containing all the required widgets. Note that 'icon' and 'name'
   // passed to the callback may be undefined when the user directly edited the file path.
-  static createFileWidget(name, description, file, callback) {
+  // If 'folder' is set to true, directories instead of files can be selected.
+  static createFileWidget(name, description, file, callback, folder = false) {
     const box = this.createConfigWidgetCaption(name, description);
 
     const entryBox = new Gtk.Box({orientation: Gtk.Orientation.HORIZONTAL});
@@ -99,12 +120,13 @@ var ConfigWidgetFactory = class ConfigWidgetFactory {
         transient_for: utils.getRoot(button),
         title: ''
       });
-      dialog.add_button(_('Select File'), Gtk.ResponseType.OK);
+      dialog.add_button(
+          folder ? _('Select Folder') : _('Select File'), Gtk.ResponseType.OK);
       dialog.add_button(_('Cancel'), Gtk.ResponseType.CANCEL);
       dialog.set_default_response(Gtk.ResponseType.OK);
 
       const fileChooser = new Gtk.FileChooserWidget({
-        action: Gtk.FileChooserAction.OPEN,
+        action: folder ? Gtk.FileChooserAction.SELECT_FOLDER : Gtk.FileChooserAction.OPEN,
         hexpand: true,
         vexpand: true,
         height_request: 500
@@ -229,6 +251,81 @@ var ConfigWidgetFactory = class ConfigWidgetFactory {
     return box;
   }
 
+  // This creates a widget which can be used to edit a set of conditions. See
+  // utils.checkConditions() for a description of the individual conditions. 'conditions'
+  // contains the initial values, missing conditions are disabled. 'callback(conditions)'
+  // will be fired with an updated copy whenever one of the conditions is changed. The
+  // function returns a Gtk.Box containing all the required widgets.
+  static createConditionsWidget(conditions, callback) {
+    conditions = {
+      appID: '',
+      windowTitle: '',
+      workspace: -1,
+      monitor: -1,
+      command: '',
+      ...conditions
+    };
+
+    const update = (key, value) => {
+      conditions[key] = value;
+      callback({...conditions});
+    };
+
+    const box = new Gtk.Box({orientation: Gtk.Orientation.VERTICAL});
+
+    utils.boxAppend(
+        box,
+        this.createTextWidget(
+            _('Application'), _('Matches app ID or WM_CLASS.'),
+            _('A regular expression like <i>firefox|chromium</i>. Leave empty to match all applications.'),
+            conditions.appID, (text) => update('appID', text)));
+
+    utils.boxAppend(
+        box,
+        this.createTextWidget(
+            _('Window Title'), _('Matches the focused window.'),
+            _('A regular expression like <i>.* - Mozilla Firefox</i>. Leave empty to match all windows.'),
+            conditions.windowTitle, (text) => update('windowTitle', text)));
+
+    utils.boxAppend(
+        box,
+        this.createCountWidget(
+            _('Workspace'), _('Use -1 to match all workspaces.'), -1, 100, 1,
+            conditions.workspace, (value) => update('workspace', value)));
+
+    utils.boxAppend(
+        box,
+        this.createCountWidget(
+            _('Monitor'), _('Use -1 to match all monitors.'), -1, 100, 1,
+            conditions.monitor, (value) => update('monitor', value)));
+
+    utils.boxAppend(
+        box,
+        this.createTextWidget(
+            _('Command'), _('Has to exit with status 0.'),
+            _('A shell command like <i>pgrep spotify</i>. It is executed whenever the menu is opened and has to finish within one second. Leave empty to disable this condition.'),
+            conditions.command, (text) => update('command', text)));
+
+    return box;
+  }
+
+  // This creates a combo box which can be used to select a paste strategy. See
+  // ClipboardManager.pasteItem() for a description of the available strategies.
+  // 'callback(strategy)' will be fired whenever another strategy is selected.
+  static createPasteStrategyWidget(strategy, callback) {
+    return this.createComboWidget(
+        _('Paste Strategy'), _('How the data is inserted.'),
+        [
+          ['default', _('Default')],
+          ['ctrl-v', _('Ctrl+V')],
+          ['ctrl-shift-v', _('Ctrl+Shift+V')],
+          ['shift-insert', _('Shift+Insert')],
+          ['type', _('Type Directly')],
+          ['copy', _('Copy Only')],
+        ],
+        strategy, callback);
+  }
+
   // This is used by all the function above to create the header of the configuration
   // widget. It returns a vertical Gtk.Box containing a horizontal box with the name and
   // the dimmed description.
@@ -57,6 +57,31 @@ var DBusInterface = {
             <arg name="path"    type="s" direction="in"/>                                \
             <arg name="result"  type="i" direction="out"/>                               \
           </method>                                                                      \
+          <method name="ClearClipboardHistory">                                          \
+            <arg name="result"  type="i" direction="out"/>                               \
+          </method>                                                                      \
+          <method name="ListMenus">                                                      \
+            <arg name="menus"   type="a(sis)" direction="out"/>                          \
+          </method>                                                                      \
+          <method name="GetMenuConfig">                                                  \
+            <arg name="name"    type="s" direction="in"/>                                \
+            <arg name="json"    type="s" direction="out"/>                               \
+            <arg name="result"  type="i" direction="out"/>                               \
+          </method>                                                                      \
+          <method name="SetMenuConfig">                                                  \
+            <arg name="name"    type="s" direction="in"/>                                \
+            <arg name="json"    type="s" direction="in"/>                                \
+            <arg name="id"      type="i" direction="out"/>                               \
+          </method>                                                                      \
+          <method name="DeleteMenu">                                                     \
+            <arg name="name"    type="s" direction="in"/>                                \
+            <arg name="result"  type="i" direction="out"/>                               \
+          </method>                                                                      \
+          <method name="ValidateMenu">                                                   \
+            <arg name="description" type="s" direction="in"/>                            \
+            <arg name="diagnostics" type="s" direction="out"/>                           \
+            <arg name="result"      type="i" direction="out"/>                           \
+          </method>                                                                      \
           <signal name="OnHover">                                                        \
               <arg name="menuID" type="i"/>                                              \
               <arg name="itemID" type="s"/>                                              \
@@ -69,6 +94,14 @@ var DBusInterface = {
               <arg name="menuID" type="i"/>                                              \
               <arg name="itemID" type="s"/>                                              \
           </signal>                                                                      \
+          <signal name="OnSelectEx">                                                     \
+              <arg name="menuID"    type="i"/>                                           \
+              <arg name="itemID"    type="s"/>                                           \
+              <arg name="path"      type="s"/>                                           \
+              <arg name="name"      type="s"/>                                           \
+              <arg name="data"      type="s"/>                                           \
+              <arg name="modifiers" type="as"/>                                          \
+          </signal>                                                                      \
           <signal name="OnCancel">                                                       \
               <arg name="menuID" type="i"/>                                              \
           </signal>                                                                      \
@@ -95,7 +128,7 @@ var DBusInterface = {
       case -2:
         return 'The provided menu description was no valid JSON.';
       case -3:
-        return 'The menu configuration was invalid.';
+        return 'The menu configuration was invalid. Use ValidateMenu for details.';
       case -4:
         return 'The angles of the children did not follow the rules.';
       case -5:
@@ -104,6 +137,8 @@ var DBusInterface = {
         return 'There is currently no menu open.';
       case -7:
         return 'No menu item with this path exists.';
+      case -8:
+        return 'The currently open menu was closed instead.';
       default:
         return 'An unknown error occurred.';
     }
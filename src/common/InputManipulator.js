@@ -15,7 +15,8 @@ const utils = Me.imports.src.common.utils;
 
 //////////////////////////////////////////////////////////////////////////////////////////
 // An instance of this class can be used to create faked input events. You can use it   //
-// to move the mouse pointer or to press accelerator key strokes.                       //
+// to move the mouse pointer, to click mouse buttons, to press accelerator key strokes, //
+// or to type some text.                                                                //
 //////////////////////////////////////////////////////////////////////////////////////////
 
 var InputManipulator = class InputManipulator {
@@ -43,6 +44,13 @@ var InputManipulator = class InputManipulator {
     this._mouse.notify_absolute_motion(0, x, y);
   }
 
+  // Simulates a click of the given mouse button at the current pointer position. The
+  // button is given as number, for example Clutter.BUTTON_MIDDLE.
+  clickButton(button) {
+    this._mouse.notify_button(0, button, Clutter.ButtonState.PRESSED);
+    this._mouse.notify_button(0, button, Clutter.ButtonState.RELEASED);
+  }
+
   // Simulates the activation of a given accelerator. The string can be anything accepted
   // by Gtk.accelerator_parse(). That is, for example, "<Control>a" or "<Shift><Alt>F1".
   activateAccelerator(string) {
@@ -62,6 +70,35 @@ var InputManipulator = class InputManipulator {
     this._pressModifiers(currentMods);
   }
 
+  // Simulates typing the given text. Each character is converted to a keyval which is
+  // then pressed and released. Newlines and tabs are sent as Return and Tab key strokes.
+  // Characters which are not part of the current keymap may not be typed correctly.
+  typeText(text) {
+
+    // First we release any currently pressed modifiers.
+    const currentMods = global.get_pointer()[2];
+    this._releaseModifiers(currentMods);
+
+    // Then type all characters one after another.
+    for (const char of text) {
+      let keyval;
+
+      if (char == '\n') {
+        keyval = Clutter.KEY_Return;
+      } else if (char == '\t') {
+        keyval = Clutter.KEY_Tab;
+      } else {
+        keyval = Clutter.unicode_to_keyval(char.codePointAt(0));
+      }
+
+      this._keyboard.notify_keyval(0, keyval, Clutter.KeyState.PRESSED);
+      this._keyboard.notify_keyval(0, keyval, Clutter.KeyState.RELEASED);
+    }
+
+    // Finally we re-press the modifiers which were pressed before.
+    this._pressModifiers(currentMods);
+  }
+
   // ----------------------------------------------------------------------- private stuff
 
   // Helper method which 'releases' the desired modifier keys.
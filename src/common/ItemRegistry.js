@@ -68,7 +68,14 @@ var ItemClass = {MENU: 0, ACTION: 1};
 //                                 callback.                                            //
 //   createItem:   A function which will be called whenever a menu is opened containing //
 //                 an item of this kind. The data value chosen by the user will be      //
-//                 passed to this function as object.                                   //
+//                 passed to this function as object. Menus which are expensive to      //
+//                 create can return an object with a "childrenProvider" function       //
+//                 instead of a "children" list. This function is called once the       //
+//                 children are actually shown and has to return the list of children.  //
+//                 Menus which require asynchronous operations can return a promise     //
+//                 resolving to an object with a "children" list. Similarly, the        //
+//                 children provider can return a promise resolving to the children.    //
+//                 Until the promise resolves, a placeholder item is shown.             //
 //////////////////////////////////////////////////////////////////////////////////////////
 
 let _itemTypes = null;
@@ -93,10 +100,46 @@ var ItemRegistry = class ItemRegistry {
   // individual items.
   // This method assumes a "normalized" config, so you should call the normalizeConfig()
   // above before this one.
+  // The command conditions of the items are evaluated asynchronously. If any child of an
+  // item has such a condition, its children are provided via a "childrenPromise" instead
+  // of a "children" list. The results of the commands are cached, so callers should call
+  // utils.clearConditionCache() before a new menu is opened.
   static transformConfig(config) {
     return this._transformConfig(config, true);
   }
 
+  // This checks the given menu configuration for errors without modifying it. In
+  // contrast to normalizeConfig(), it does not stop at the first error. Instead, a list
+  // of diagnostics is returned, one for each problem found. Each diagnostic is an object
+  // with the following properties:
+  //   path:       The JSON path of the offending item or property like
+  //               "$.children[1].type". The given path is used for the configuration
+  //               itself, it defaults to "$".
+  //   severity:   Either "error" or "warning". Errors make normalizeConfig() fail,
+  //               warnings are problems which are silently fixed or ignored.
+  //   rule:       A description of the rule which is broken.
+  //   suggestion: A hint on how to fix the problem.
+  // If the list contains no errors, the configuration can be passed to normalizeConfig().
+  static validateConfig(config, path = '$') {
+    const diagnostics = [];
+    this._validateConfig(config, true, path, diagnostics);
+    return diagnostics;
+  }
+
+  // Returns true if the given list of diagnostics as returned by validateConfig()
+  // contains at least one error.
+  static hasErrors(diagnostics) {
+    return diagnostics.some(diagnostic => diagnostic.severity == 'error');
+  }
+
+  // Formats the given list of diagnostics as returned by validateConfig() as a
+  // human-readable string. Each diagnostic is printed on a separate line.
+  static formatDiagnostics(diagnostics) {
+    return diagnostics
+        .map(d => d.severity + ' at ' + d.path + ': ' + d.rule + ' ' + d.suggestion)
+        .join('\n');
+  }
+
   // Returns an object with all available item types (actions and menus).
   static getItemTypes() {
 
@@ -110,6 +153,8 @@ var ItemRegistry = class ItemRegistry {
         Uri: actions.Uri.action,
         File: actions.File.action,
         DBusSignal: actions.DBusSignal.action,
+        Macro: actions.Macro.action,
+        WindowAction: actions.WindowAction.action,
 
         // Menu types.
         CustomMenu: menus.CustomMenu.menu,
@@ -118,9 +163,14 @@ var ItemRegistry = class ItemRegistry {
         Bookmarks: menus.Bookmarks.menu,
         System: menus.System.menu,
         Favorites: menus.Favorites.menu,
+        Folder: menus.Folder.menu,
         FrequentlyUsed: menus.FrequentlyUsed.menu,
+        MediaPlayers: menus.MediaPlayers.menu,
         RecentFiles: menus.RecentFiles.menu,
         RunningApps: menus.RunningApps.menu,
+        ScriptMenu: menus.ScriptMenu.menu,
+        Snippets: menus.Snippets.menu,
+        Workspaces: menus.Workspaces.menu,
       };
 
       // This is only possible if the GMenu typelib is installed on the system.
@@ -318,15 +368,29 @@ var ItemRegistry = class ItemRegistry {
       config.icon = this.getItemTypes()[config.type].icon;
     }
 
+    // Assign default conditions. For top-level items, they determine whether the menu is
+    // opened by its shortcut, all other items are only shown if their conditions are
+    // fulfilled. See utils.checkConditions() for a description of the conditions.
+    config.conditions = {
+      appID: '',
+      windowTitle: '',
+      workspace: -1,
+      monitor: -1,
+      command: '',
+      ...config.conditions
+    };
+
     // The 'shortcut', 'touchButton', 'superRMB', and 'centered' property is only
-    // available on top-level items, the 'angle' property on all other items.
+    // available on top-level items, the 'angle' and 'accelerator' properties on all other
+    // items. An empty accelerator means that it will be chosen automatically.
     if (isToplevel) {
       config.centered    = config.centered != undefined ? config.centered : false;
       config.shortcut    = config.shortcut != undefined ? config.shortcut : '';
       config.touchButton = config.touchButton != undefined ? config.touchButton : false;
       config.superRMB    = config.superRMB != undefined ? config.superRMB : false;
     } else {
-      config.angle = config.angle != undefined ? config.angle : -1;
+      config.angle       = config.angle != undefined ? config.angle : -1;
+      config.accelerator = config.accelerator != undefined ? config.accelerator : '';
     }
 
     // Check all children recursively.
@@ -337,26 +401,161 @@ var ItemRegistry = class ItemRegistry {
     }
   }
 
+  // See documentation of validateConfig() above. This mirrors the checks of
+  // _normalizeConfig() below and the angle rules of utils.computeItemAngles().
+  static _validateConfig(config, isToplevel, path, diagnostics) {
+
+    const report = (severity, path, rule, suggestion) => {
+      diagnostics.push(
+          {path: path, severity: severity, rule: rule, suggestion: suggestion});
+    };
+
+    if (config == null || typeof config !== 'object' || Array.isArray(config)) {
+      report(
+          'error', path, 'Each item must be an object.',
+          'Use an object like {"name": "Item", "icon": "image-missing"}.');
+      return;
+    }
+
+    ['name', 'icon'].forEach(key => {
+      if (config[key] != undefined && typeof config[key] !== 'string') {
+        report(
+            'error', path + '.' + key, 'The ' + key + ' must be a string.',
+            'Enclose the ' + key + ' in double quotes.');
+      }
+    });
+
+    if (config.children != undefined && !Array.isArray(config.children)) {
+      report(
+          'error', path + '.children', 'The children must be a list of items.',
+          'Enclose the child items in square brackets.');
+      return;
+    }
+
+    // Determine the type in the same way as _normalizeConfig() does.
+    let type = config.type;
+    if (type == undefined) {
+      type = config.children == undefined ? 'DBusSignal' : 'CustomMenu';
+    } else if (type == 'Submenu' || type == 'Menu') {
+      type = 'CustomMenu';
+    } else if (this.getItemTypes()[type] == undefined) {
+      const fallback = config.children == undefined ? 'DBusSignal' : 'CustomMenu';
+      const match    = Object.keys(this.getItemTypes())
+                        .find(t => t.toLowerCase() == String(type).toLowerCase());
+
+      report(
+          'warning', path + '.type',
+          'Unknown item type \'' + type + '\'. \'' + fallback +
+              '\' will be used instead.',
+          match ? 'Did you mean \'' + match + '\'?' :
+                  'Use one of ' + Object.keys(this.getItemTypes()).join(', ') + '.');
+      type = fallback;
+    }
+
+    if (type != 'CustomMenu' && config.children != undefined) {
+      report(
+          'error', path + '.children',
+          'Only items of type \'CustomMenu\' may contain child items.',
+          'Remove the children or change the type to \'CustomMenu\'.');
+    }
+
+    if (isToplevel && this.getItemTypes()[type].class != ItemClass.MENU) {
+      report(
+          'error', path + '.type', 'Top-level items must be menu types.',
+          'Use a menu type like \'CustomMenu\' for the top-level item.');
+    }
+
+    if (config.children == undefined) {
+      return;
+    }
+
+    // Fixed angles of siblings have to increase monotonically. Angles which are smaller
+    // than a preceding fixed angle are ignored by utils.computeItemAngles().
+    let lastAngle = -1;
+    config.children.forEach((child, i) => {
+      if (child == null || child.angle == undefined) {
+        return;
+      }
+
+      const anglePath = path + '.children[' + i + '].angle';
+
+      if (typeof child.angle !== 'number') {
+        report(
+            'warning', anglePath, 'The angle must be a number. It will be ignored.',
+            'Use a number between 0 and 360 or -1 for an automatic angle.');
+      } else if (child.angle >= 0) {
+        if (child.angle % 360 < lastAngle) {
+          report(
+              'warning', anglePath,
+              'Fixed angles must increase monotonically. This angle will be ignored.',
+              'Use an angle larger than ' + lastAngle + ' or reorder the items.');
+        } else {
+          lastAngle = child.angle % 360;
+        }
+      }
+    });
+
+    // Check all children recursively.
+    config.children.forEach((child, i) => {
+      this._validateConfig(child, false, path + '.children[' + i + ']', diagnostics);
+    });
+  }
+
   // See documentation of transformConfig() above.
   static _transformConfig(config, isToplevel) {
 
     // Create the item and then set all the standard-properties later.
-    const result = this.getItemTypes()[config.type].createItem(config.data);
-    result.name  = config.name;
-    result.icon  = config.icon;
+    let result = this.getItemTypes()[config.type].createItem(config.data);
+
+    // Menus may create their children asynchronously. In this case, the Menu shows a
+    // placeholder until the promise resolves.
+    if (result instanceof Promise) {
+      result = {childrenPromise: result.then((item) => item.children)};
+    }
 
-    // The 'centered' property is only available on top-level items, the 'angle' property
-    // on all other items.
+    result.name = config.name;
+    result.icon = config.icon;
+
+    // The data of DBusSignal items and custom menus is reported with the OnSelectEx D-Bus
+    // signal. This can be used to attach an arbitrary payload to the items. The data of
+    // all other types contains their configuration (like commands or texts to insert)
+    // and is not reported.
+    if (config.type == 'DBusSignal' || config.type == 'CustomMenu') {
+      result.data = config.data;
+    }
+
+    // The 'centered' property is only available on top-level items, the 'angle' and the
+    // 'accelerator' properties on all other items.
     if (isToplevel) {
       result.centered = config.centered;
     } else {
-      result.angle = config.angle;
+      result.angle       = config.angle;
+      result.accelerator = config.accelerator;
     }
 
-    // Load all children recursively.
+    // Load all children recursively. Children whose conditions are not fulfilled are
+    // dropped. This happens before the menu computes the item angles, so the remaining
+    // children are distributed evenly.
     if (config.children) {
-      for (let i = 0; i < config.children.length; i++) {
-        result.children.push(this._transformConfig(config.children[i], false));
+      const children =
+          config.children.filter((child) => utils.checkConditions(child.conditions));
+
+      // The command conditions are checked asynchronously. If any child has one, the
+      // children are provided with a promise and the menu shows a placeholder until all
+      // commands have finished.
+      if (children.some((child) => child.conditions && child.conditions.command)) {
+        const checks =
+            children.map((child) => utils.checkCommandCondition(child.conditions));
+
+        delete result.children;
+        result.childrenPromise = Promise.all(checks).then((fulfilled) => {
+          return children.filter((child, i) => fulfilled[i])
+              .map((child) => this._transformConfig(child, false));
+        });
+      } else {
+        children.forEach((child) => {
+          result.children.push(this._transformConfig(child, false));
+        });
       }
     }
 
@@ -8,7 +8,7 @@
 
 'use strict';
 
-const Gio = imports.gi.Gio;
+const {Gio, GLib, Gdk, Gtk} = imports.gi;
 
 const _ = imports.gettext.domain('flypie').gettext;
 
@@ -17,9 +17,34 @@ const utils               = Me.imports.src.common.utils;
 const ItemRegistry        = Me.imports.src.common.ItemRegistry;
 const ConfigWidgetFactory = Me.imports.src.common.ConfigWidgetFactory.ConfigWidgetFactory;
 
+// We import some modules optionally. When this file is included from the daemon side,
+// they are available and can be used in the activation code of the action defined below.
+// If this file is included via the pref.js, they will not be available. But this is not
+// a problem, as the preferences will not call the createItem() methods below; they are
+// merely interested in the action's name, icon and description.
+let St               = undefined;
+let Shell            = undefined;
+let InputManipulator = undefined;
+let ClipboardManager = undefined;
+
+try {
+  St               = imports.gi.St;
+  Shell            = imports.gi.Shell;
+  InputManipulator = new Me.imports.src.common.InputManipulator.InputManipulator();
+  ClipboardManager = Me.imports.src.extension.ClipboardManager.ClipboardManager;
+} catch (error) {
+  // Nothing to be done, we're in settings-mode.
+}
+
+// These placeholders can be used in the command. They are replaced by their current
+// values right before the command is executed.
+const PLACEHOLDERS = /%(clipboard|selection|window_title|app_id|pointer_x|pointer_y)%/g;
+
 //////////////////////////////////////////////////////////////////////////////////////////
 // The command actions executes a shell command when activated. This can be used to     //
-// launch any application installed in the $PATH.                                       //
+// launch any application installed in the $PATH. Alternatively, the command can be run //
+// as a subprocess. In this case, errors are reported with a notification and the       //
+// output of the command can be copied to the clipboard or typed in.                    //
 // See common/ItemRegistry.js for a description of the action's format.                 //
 //////////////////////////////////////////////////////////////////////////////////////////
 
@@ -42,61 +67,187 @@ var action = {
 
   // This is the (long) description shown when an item of this type is selected.
   description: _(
-      'The <b>Launch Application</b> action executes any given command. This is primarily used to open applications but may have plenty of other use cases as well.'),
+      'The <b>Launch Application</b> action executes any given command. This is primarily used to open applications but may have plenty of other use cases as well. The placeholders <i>%clipboard%</i>, <i>%selection%</i>, <i>%window_title%</i>, <i>%app_id%</i>, <i>%pointer_x%</i>, and <i>%pointer_y%</i> will be replaced by their current values. They are quoted automatically, so do not put them in quotes.'),
 
   // Items of this type have an additional text configuration parameter which represents
-  // the command to execute.
+  // the command to execute. The mode parameter determines how the command is executed:
+  // 'launch' launches it like an application, 'subprocess' runs it in the background,
+  // 'clipboard' and 'type' do the same but additionally copy the output to the clipboard
+  // or type it in respectively.
   config: {
     // This is used as data for newly created items of this type.
-    defaultData: {command: ''},
+    defaultData: {command: '', mode: 'launch'},
 
     // This is called whenever an item of this type is selected in the menu editor. It
     // returns a Gtk.Widget which will be shown in the sidebar of the menu editor. The
     // currently configured data object will be passed as first parameter and *should* be
-    // an object containing a single "command" property. To stay backwards compatible with
-    // Fly-Pie 4, we have to also handle the case where the command is given as a simple
-    // string value. The second parameter is a callback which is fired whenever the user
-    // changes something in the widgets.
+    // an object containing a "command" and a "mode" property. To stay backwards
+    // compatible with Fly-Pie 4, we have to also handle the case where the command is
+    // given as a simple string value. The second parameter is a callback which is fired
+    // whenever the user changes something in the widgets.
     getWidget(data, updateCallback) {
-      let command = '';
       if (typeof data === 'string') {
-        command = data;
-      } else if (data.command != undefined) {
-        command = data.command;
+        data = {command: data};
       }
 
-      return ConfigWidgetFactory.createCommandWidget(
-          _('Command'), _('Use the button to list installed apps.'), command,
-          (command, name, icon) => {
-            updateCallback({command: command}, name, icon);
-          });
+      // Use default data for undefined properties.
+      data = {...this.defaultData, ...data};
+
+      const vBox = new Gtk.Box({orientation: Gtk.Orientation.VERTICAL});
+
+      utils.boxAppend(
+          vBox,
+          ConfigWidgetFactory.createCommandWidget(
+              _('Command'), _('Use the button to list installed apps.'), data.command,
+              (command, name, icon) => {
+                data.command = command;
+                updateCallback({...data}, name, icon);
+              }));
+
+      utils.boxAppend(
+          vBox,
+          ConfigWidgetFactory.createComboWidget(
+              _('Mode'), _('Subprocesses report errors.'),
+              [
+                ['launch', _('Launch Application')],
+                ['subprocess', _('Run as Subprocess')],
+                ['clipboard', _('Copy Output to Clipboard')],
+                ['type', _('Type Output')],
+              ],
+              data.mode, (mode) => {
+                data.mode = mode;
+                updateCallback({...data});
+              }));
+
+      return vBox;
     }
   },
 
   // This will be called whenever a menu is opened containing an item of this kind.
-  // The data parameter *should* be an object containing a single "command" property.
-  // To stay backwards compatible with Fly-Pie 4, we have to also handle the case
-  // where the command is given as a simple string value.
+  // The data parameter *should* be an object containing a "command" and a "mode"
+  // property. To stay backwards compatible with Fly-Pie 4, we have to also handle the
+  // case where the command is given as a simple string value.
   createItem: (data) => {
-    let command = '';
     if (typeof data === 'string') {
-      command = data;
-    } else if (data.command != undefined) {
-      command = data.command;
+      data = {command: data};
     }
 
+    // Use default data for undefined properties.
+    data = {...action.config.defaultData, ...data};
+
     // The onSelect() function will be called when the user selects this action.
     return {
       onSelect: () => {
-        try {
-          const ctx  = global.create_app_launch_context(0, -1);
-          const item = Gio.AppInfo.create_from_commandline(
-              command, null, Gio.AppInfoCreateFlags.NONE);
-          item.launch([], ctx);
-        } catch (error) {
-          utils.debug('Failed to execute command: ' + error);
-        }
+        _substitutePlaceholders(data.command, (command) => {
+          if (data.mode == 'launch') {
+            _launch(command);
+          } else {
+            _runSubprocess(command, data.mode);
+          }
+        });
       }
     };
   }
-};
\ No newline at end of file
+};
+
+// Replaces all placeholders like %clipboard% or %window_title% in the given command by
+// their current values. The values are shell-quoted so that they are passed as single
+// arguments. As the clipboard contents can only be retrieved asynchronously, the
+// resulting command is passed to the given callback.
+const _substitutePlaceholders = (command, callback) => {
+  const window = global.display.focus_window;
+  const [x, y] = global.get_pointer();
+
+  const values = {
+    clipboard: '',
+    selection: '',
+    window_title: window ? window.get_title() || '' : '',
+    app_id: '',
+    pointer_x: x,
+    pointer_y: y
+  };
+
+  // Prefer the app ID reported by the window tracker, but fall back to the WM_CLASS.
+  if (window) {
+    const app     = Shell.WindowTracker.get_default().get_window_app(window);
+    values.app_id = app ? app.get_id() : window.get_wm_class() || '';
+  }
+
+  // The clipboard and the primary selection are only queried if required.
+  const queryClipboard = (name, type, next) => {
+    if (command.includes(`%${name}%`)) {
+      St.Clipboard.get_default().get_text(type, (clipboard, text) => {
+        values[name] = text || '';
+        next();
+      });
+    } else {
+      next();
+    }
+  };
+
+  queryClipboard('clipboard', St.ClipboardType.CLIPBOARD, () => {
+    queryClipboard('selection', St.ClipboardType.PRIMARY, () => {
+      callback(command.replace(
+          PLACEHOLDERS, (match, name) => GLib.shell_quote(String(values[name]))));
+    });
+  });
+};
+
+// Launches the given command like an application.
+const _launch = (command) => {
+  try {
+    const ctx = global.create_app_launch_context(0, -1);
+    const item =
+        Gio.AppInfo.create_from_commandline(command, null, Gio.AppInfoCreateFlags.NONE);
+    item.launch([], ctx);
+  } catch (error) {
+    utils.debug('Failed to execute command: ' + error);
+  }
+};
+
+// Runs the given command in a shell subprocess. If the command fails, a notification
+// containing its error output is shown. If mode is 'clipboard' or 'type', the output of
+// the command is copied to the clipboard or typed in respectively.
+const _runSubprocess = (command, mode) => {
+  try {
+    const proc = Gio.Subprocess.new(
+        ['/bin/sh', '-c', command],
+        Gio.SubprocessFlags.STDOUT_PIPE | Gio.SubprocessFlags.STDERR_PIPE);
+
+    proc.communicate_utf8_async(null, null, (proc, result) => {
+      try {
+        let [, stdout, stderr] = proc.communicate_utf8_finish(result);
+
+        if (!proc.get_successful()) {
+          utils.notify(
+              // Translators: This is shown in a desktop notification.
+              _('Command failed with exit status %i')
+                  .replace('%i', proc.get_exit_status()),
+              stderr ? stderr.trim() : command);
+          return;
+        }
+
+        // Like the shell's command substitution, we remove a trailing newline.
+        stdout = (stdout || '').replace(/\n$/, '');
+
+        if (mode == 'clipboard') {
+
+          // Make sure that the set_text() further below does not affect our clipboard
+          // menus.
+          ClipboardManager.getInstance().ignoreNextOwnerChange();
+
+          const clipboard = Gtk.Clipboard.get_default(Gdk.Display.get_default());
+          clipboard.set_text(stdout, -1);
+
+        } else if (mode == 'type') {
+          InputManipulator.typeText(stdout);
+        }
+
+      } catch (error) {
+        utils.debug('Failed to execute command: ' + error);
+      }
+    });
+  } catch (error) {
+    utils.notify(_('Failed to execute command'), error.message);
+  }
+};
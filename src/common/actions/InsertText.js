@@ -8,32 +8,58 @@
 
 'use strict';
 
-const {Gdk, Gtk, GLib} = imports.gi;
+const {Gtk, GLib} = imports.gi;
 
 const _ = imports.gettext.domain('flypie').gettext;
 
 const Me                  = imports.misc.extensionUtils.getCurrentExtension();
+const utils               = Me.imports.src.common.utils;
 const ItemRegistry        = Me.imports.src.common.ItemRegistry;
 const ConfigWidgetFactory = Me.imports.src.common.ConfigWidgetFactory.ConfigWidgetFactory;
 
-// We import the ClipboardManager and InputManipulator optionally. When this file is
-// included from the daemon side, they are available and can be used in the activation
-// code of the action defined below. If this file is included via the pref.js, they will
-// not be available. But this is not a problem, as the preferences will not call the
-// createItem() methods below; they are merely interested in the action's name, icon and
-// description.
+// We import some modules optionally. When this file is included from the daemon side,
+// they are available and can be used in the activation code of the action defined
+// below. If this file is included via the pref.js, they will not be available. But this
+// is not a problem, as the preferences will not call the createItem() methods below;
+// they are merely interested in the action's name, icon and description.
+let St               = undefined;
+let Clutter          = undefined;
+let ModalDialog      = undefined;
 let InputManipulator = undefined;
 let ClipboardManager = undefined;
 
 try {
+  St               = imports.gi.St;
+  Clutter          = imports.gi.Clutter;
+  ModalDialog      = imports.ui.modalDialog;
   InputManipulator = new Me.imports.src.common.InputManipulator.InputManipulator();
   ClipboardManager = Me.imports.src.extension.ClipboardManager.ClipboardManager;
 } catch (error) {
   // Nothing to be done, we're in settings-mode.
 }
 
+// The text may contain placeholders like {{date:%Y-%m-%d}} or {{prompt:Name}}. This
+// matches all of them, the first group contains the placeholder's name, the optional
+// second group its argument.
+const PLACEHOLDERS =
+    /{{(date|time|clipboard|selection|env|cursor|prompt)(?::([^}]*))?}}/g;
+
+// After pasting, the text cursor is moved to the position of the {{cursor}} placeholder.
+// As the receiving application inserts the text asynchronously, we wait this many
+// milliseconds before simulating the required arrow key presses.
+const CURSOR_DELAY = 200;
+
 //////////////////////////////////////////////////////////////////////////////////////////
-// The insert-text action pastes some text to the current cursor position.              //
+// The insert-text action pastes some text to the current cursor position. The text can //
+// contain these placeholders which are replaced when the action is executed:           //
+//   {{date}}, {{date:FORMAT}}: The current date, optionally in the given format.       //
+//   {{time}}, {{time:FORMAT}}: The current time, optionally in the given format.       //
+//   {{clipboard}}:             The current text contents of the clipboard.             //
+//   {{selection}}:             The current text contents of the primary selection.     //
+//   {{env:NAME}}:              The value of the given environment variable.            //
+//   {{cursor}}:                After pasting, the text cursor is moved here.           //
+//   {{prompt:LABEL}}:          A value which is entered in a dialog before pasting.    //
+// The formats are the same as for GLib.DateTime.format(), for example %Y-%m-%d.        //
 // See common/ItemRegistry.js for a description of the action's format.                 //
 //////////////////////////////////////////////////////////////////////////////////////////
 
@@ -56,62 +82,210 @@ var action = {
 
   // This is the (long) description shown when an item of this type is selected.
   description: _(
-      'The <b>Insert Text</b> action copies the given text to the clipboard and then simulates a Ctrl+V. This can be useful if you realize that you often write the same things.'),
+      'The <b>Insert Text</b> action copies the given text to the clipboard and then simulates a Ctrl+V. This can be useful if you realize that you often write the same things. The paste strategy can be changed, for example to Ctrl+Shift+V for terminals. The text can contain placeholders like <i>{{date:%Y-%m-%d}}</i>, <i>{{clipboard}}</i>, <i>{{env:USER}}</i>, <i>{{cursor}}</i>, or <i>{{prompt:Name}}</i>.'),
 
   // Items of this type have an additional text configuration parameter which is the text
-  // which is to be inserted.
+  // which is to be inserted. Furthermore, a paste strategy can be configured; see
+  // ClipboardManager.pasteItem() for a list of available strategies.
   config: {
     // This is used as data for newly created items of this type.
-    defaultData: {text: ''},
+    defaultData: {text: '', pasteStrategy: 'default'},
 
     // This is called whenever an item of this type is selected in the menu editor. It
     // returns a Gtk.Widget which will be shown in the sidebar of the menu editor. The
     // currently configured data object will be passed as first parameter and *should* be
-    // an object containing a single "text" property. To stay backwards compatible with
-    // Fly-Pie 4, we have to also handle the case where the text is given as a simple
-    // string value. The second parameter is a callback which is fired whenever the user
-    // changes something in the widgets.
+    // an object containing a "text" and a "pasteStrategy" property. To stay backwards
+    // compatible with Fly-Pie 4, we have to also handle the case where the text is given
+    // as a simple string value. The second parameter is a callback which is fired
+    // whenever the user changes something in the widgets.
     getWidget(data, updateCallback) {
-      let text = '';
       if (typeof data === 'string') {
-        text = data;
-      } else if (data.text != undefined) {
-        text = data.text;
+        data = {text: data};
       }
 
-      return ConfigWidgetFactory.createTextWidget(
-          _('Text'), _('This text will be inserted.'), null, text, (text) => {
-            updateCallback({text: text});
-          });
+      // Use default data for undefined properties.
+      data = {...this.defaultData, ...data};
+
+      const vBox = new Gtk.Box({orientation: Gtk.Orientation.VERTICAL});
+
+      utils.boxAppend(
+          vBox,
+          ConfigWidgetFactory.createTextWidget(
+              _('Text'), _('This text will be inserted.'),
+              _('Use <i>{{date}}</i> or <i>{{time}}</i> for the current date or time. A format can be given like this: <i>{{date:%Y-%m-%d}}</i>. <i>{{clipboard}}</i> and <i>{{selection}}</i> insert the contents of the clipboard and the primary selection, <i>{{env:NAME}}</i> the value of an environment variable. After pasting, the text cursor will be moved to <i>{{cursor}}</i>. For each <i>{{prompt:Label}}</i>, you will be asked for a value before the text is inserted.'),
+              data.text, (text) => {
+                data.text = text;
+                updateCallback({...data});
+              }));
+
+      utils.boxAppend(
+          vBox,
+          ConfigWidgetFactory.createPasteStrategyWidget(
+              data.pasteStrategy, (strategy) => {
+                data.pasteStrategy = strategy;
+                updateCallback({...data});
+              }));
+
+      return vBox;
     }
   },
 
   // This will be called whenever a menu is opened containing an item of this kind.
-  // The data parameter *should* be an object containing a single "text" property. To
-  // stay backwards compatible with Fly-Pie 4, we have to also handle the case where
-  // the text is given as a simple string value.
+  // The data parameter *should* be an object containing a "text" and a "pasteStrategy"
+  // property. To stay backwards compatible with Fly-Pie 4, we have to also handle the
+  // case where the text is given as a simple string value.
   createItem: (data) => {
-    let text = '';
     if (typeof data === 'string') {
-      text = data;
-    } else if (data.text != undefined) {
-      text = data.text;
+      data = {text: data};
     }
 
-    // The onSelect() function will be called when the user selects this action.
+    // Use default data for undefined properties.
+    data = {...action.config.defaultData, ...data};
+
+    // The onSelect() function will be called when the user selects this action. First,
+    // all placeholders are replaced. The ClipboardManager takes care of not adding the
+    // text to the clipboard history.
     return {
       onSelect: () => {
-        // Make sure that the set_text() further below does not affect our clipboard
-        // menus.
-        const clipboardManager = ClipboardManager.getInstance();
-        clipboardManager.ignoreNextOwnerChange();
-
-        const clipboard = Gtk.Clipboard.get_default(Gdk.Display.get_default());
-        clipboard.set_text(text, -1);
-
-        // Finally, simulate Ctrl+V.
-        InputManipulator.activateAccelerator('<Primary>v');
+        _expandTemplate(data.text, (text, cursorOffset) => {
+          ClipboardManager.getInstance().pasteText(text, data.pasteStrategy, () => {
+            // Move the text cursor to the {{cursor}} placeholder if there was one.
+            if (cursorOffset > 0) {
+              GLib.timeout_add(GLib.PRIORITY_DEFAULT, CURSOR_DELAY, () => {
+                for (let i = 0; i < cursorOffset; i++) {
+                  InputManipulator.activateAccelerator('Left');
+                }
+                return GLib.SOURCE_REMOVE;
+              });
+            }
+          });
+        });
       }
     };
   }
 };
+
+// Replaces all placeholders in the given text. See the documentation at the top of this
+// file for a list of supported placeholders. As the clipboard contents can only be
+// retrieved asynchronously and prompts have to be answered by the user, the resulting
+// text is passed to the given callback. The second parameter of the callback is the
+// number of characters after the {{cursor}} placeholder. If a prompt dialog is
+// cancelled, the callback is not called at all.
+const _expandTemplate = (text, callback) => {
+  const values = {clipboard: '', selection: '', prompts: new Map()};
+
+  // Collect all prompt labels. If a label is used multiple times, the user is only asked
+  // once.
+  for (const match of text.matchAll(PLACEHOLDERS)) {
+    if (match[1] == 'prompt') {
+      values.prompts.set(match[2] || '', '');
+    }
+  }
+
+  // The clipboard and the primary selection are only queried if required.
+  const queryClipboard = (name, type, next) => {
+    if (text.includes(`{{${name}}}`)) {
+      St.Clipboard.get_default().get_text(type, (clipboard, content) => {
+        values[name] = content || '';
+        next();
+      });
+    } else {
+      next();
+    }
+  };
+
+  // GLib.DateTime.format() returns null for invalid formats. In this case, the given
+  // default format is used instead.
+  const formatNow = (format, defaultFormat) => {
+    const now = GLib.DateTime.new_now_local();
+    return now.format(format || defaultFormat) || now.format(defaultFormat);
+  };
+
+  // This is called once all values are available.
+  const replacePlaceholders = () => {
+    const result = text.replace(PLACEHOLDERS, (match, name, argument) => {
+      switch (name) {
+        case 'date':
+          return formatNow(argument, '%x');
+        case 'time':
+          return formatNow(argument, '%X');
+        case 'env':
+          return GLib.getenv(argument || '') || '';
+        case 'prompt':
+          return values.prompts.get(argument || '');
+        case 'cursor':
+          // The cursor markers are removed below.
+          return match;
+        default:
+          return values[name];
+      }
+    });
+
+    // Now find the first cursor marker and remove all of them. The number of characters
+    // after the marker is the number of times the text cursor has to be moved back.
+    const cursorIndex  = result.indexOf('{{cursor}}');
+    const finalText    = result.split('{{cursor}}').join('');
+    const cursorOffset = cursorIndex < 0 ?
+        0 :
+        [...result.slice(cursorIndex).split('{{cursor}}').join('')].length;
+
+    callback(finalText, cursorOffset);
+  };
+
+  queryClipboard('clipboard', St.ClipboardType.CLIPBOARD, () => {
+    queryClipboard('selection', St.ClipboardType.PRIMARY, () => {
+      if (values.prompts.size == 0) {
+        replacePlaceholders();
+        return;
+      }
+
+      _showPromptDialog([...values.prompts.keys()], (answers) => {
+        if (answers) {
+          answers.forEach((answer, label) => values.prompts.set(label, answer));
+          replacePlaceholders();
+        }
+      });
+    });
+  });
+};
+
+// Shows a modal dialog containing a text entry for each of the given labels. Once the
+// dialog is closed, the callback is called with a Map from labels to entered values. If
+// the dialog is cancelled, the callback is called with null.
+const _showPromptDialog = (labels, callback) => {
+  const dialog  = new ModalDialog.ModalDialog();
+  const entries = new Map();
+  let answers   = null;
+
+  labels.forEach(label => {
+    dialog.contentLayout.add_child(new St.Label({text: label}));
+
+    const entry = new St.Entry({can_focus: true});
+    dialog.contentLayout.add_child(entry);
+    entries.set(label, entry);
+  });
+
+  // This is called when the dialog is accepted.
+  const accept = () => {
+    answers = new Map();
+    entries.forEach((entry, label) => answers.set(label, entry.get_text()));
+    dialog.close();
+  };
+
+  // Pressing Return in any of the entries accepts the dialog as well.
+  entries.forEach(entry => entry.clutter_text.connect('activate', accept));
+
+  dialog.setButtons([
+    {label: _('Cancel'), action: () => dialog.close(), key: Clutter.KEY_Escape},
+    {label: _('Insert'), action: accept, default: true}
+  ]);
+
+  // The text is inserted once the dialog is closed so that the previously focused window
+  // has the input focus again. The dialog destroys itself afterwards.
+  dialog.connect('closed', () => {
+    callback(answers);
+  });
+
+  dialog.open();
+  entries.values().next().value.grab_key_focus();
+};
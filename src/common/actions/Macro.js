@@ -0,0 +1,273 @@
+//////////////////////////////////////////////////////////////////////////////////////////
+//        ___            _     ___                                                      //
+//        |   |   \/    | ) |  |           This software may be modified and distri-    //
+//    O-  |-  |   |  -  |   |  |-  -O      buted under the terms of the MIT license.    //
+//        |   |_  |     |   |  |_          See the LICENSE file for details.            //
+//                                                                                      //
+//////////////////////////////////////////////////////////////////////////////////////////
+
+'use strict';
+
+const {Gtk, GLib} = imports.gi;
+
+const _ = imports.gettext.domain('flypie').gettext;
+
+const Me                  = imports.misc.extensionUtils.getCurrentExtension();
+const utils               = Me.imports.src.common.utils;
+const ItemRegistry        = Me.imports.src.common.ItemRegistry;
+const ConfigWidgetFactory = Me.imports.src.common.ConfigWidgetFactory.ConfigWidgetFactory;
+
+// These action types can be used as steps of a macro.
+const STEP_TYPES = ['Shortcut', 'InsertText', 'Command', 'Uri', 'File', 'DBusSignal'];
+
+// Usually, the D-Bus signals of DBusSignal actions are emitted by the menu. For steps of
+// a macro, this callback is used instead. It is set by the Daemon and called with the ID
+// and the data of the step.
+let _signalCallback = null;
+
+// This is called by the Daemon to set the above callback.
+var setSignalCallback = (callback) => {
+  _signalCallback = callback;
+};
+
+//////////////////////////////////////////////////////////////////////////////////////////
+// The macro action executes a sequence of other actions when activated. Each step      //
+// consists of an action type, the data for this action and a delay in milliseconds     //
+// which is waited before the step is executed.                                         //
+// See common/ItemRegistry.js for a description of the action's format.                 //
+//////////////////////////////////////////////////////////////////////////////////////////
+
+var action = {
+
+  // There are two fundamental item types in Fly-Pie: Actions and Menus. Actions have an
+  // onSelect() method which is called when the user selects the item, Menus can have
+  // child Actions or Menus.
+  class: ItemRegistry.ItemClass.ACTION,
+
+  // This will be shown in the add-new-item-popover of the settings dialog.
+  name: _('Macro'),
+
+  // This is also used in the add-new-item-popover.
+  icon: 'flypie-action-shortcut-symbolic-#a56',
+
+  // Translators: Please keep this short.
+  // This is the (short) description shown in the add-new-item-popover.
+  subtitle: _('Runs several actions in a row.'),
+
+  // This is the (long) description shown when an item of this type is selected.
+  description: _(
+      'The <b>Macro</b> action executes a sequence of other actions. For example, you can simulate <i>Ctrl+A</i>, then <i>Ctrl+C</i> and then open a website. An optional delay can be waited before each step.'),
+
+  // Items of this type have an additional list of steps. Each step is an object with a
+  // "type", a "data", and a "delay" property.
+  config: {
+    // This is used as data for newly created items of this type.
+    defaultData: {steps: []},
+
+    // This is called whenever an item of this type is selected in the menu editor. It
+    // returns a Gtk.Widget which will be shown in the sidebar of the menu editor. The
+    // currently configured data object will be passed as first parameter. The second
+    // parameter is a callback which must be fired whenever the user changes something in
+    // the widgets.
+    getWidget(data, updateCallback) {
+      // Use default data for undefined properties.
+      data = {...this.defaultData, ...data};
+
+      // Steps without a delay are executed right away.
+      const steps = data.steps.map(step => ({...step, delay: step.delay || 0}));
+
+      const vBox     = new Gtk.Box({orientation: Gtk.Orientation.VERTICAL});
+      const stepsBox = new Gtk.Box({orientation: Gtk.Orientation.VERTICAL});
+      utils.boxAppend(vBox, stepsBox);
+
+      // This is called whenever one of the steps is changed.
+      const _updateData = () => {
+        updateCallback({steps: steps.map(step => ({...step}))});
+      };
+
+      // This re-creates the widgets of all steps. It is called whenever steps are added,
+      // removed, or reordered and whenever the type of a step is changed.
+      const _updateSteps = () => {
+        utils.clearChildren(stepsBox);
+
+        steps.forEach((step, i) => {
+          const itemType  = ItemRegistry.ItemRegistry.getItemTypes()[step.type];
+          const supported = STEP_TYPES.includes(step.type);
+
+          // Each step has a combo box for its type and some buttons to move it up or
+          // down and to remove it. Steps of unsupported types cannot be edited. They are
+          // kept as they are, but they can be moved or removed.
+          let typeWidget;
+          if (supported) {
+            typeWidget = ConfigWidgetFactory.createComboWidget(
+                _('Step %i').replace('%i', i + 1), itemType.subtitle,
+                STEP_TYPES.map(
+                    type => [type, ItemRegistry.ItemRegistry.getItemTypes()[type].name]),
+                step.type, (type) => {
+                  steps[i] = _createStep(type);
+                  _updateData();
+                  _updateSteps();
+                });
+          } else {
+            typeWidget = ConfigWidgetFactory.createConfigWidgetCaption(
+                _('Step %i').replace('%i', i + 1),
+                _('Unsupported type \'%s\'').replace('%s', step.type));
+          }
+
+          const buttonBox = new Gtk.Box(
+              {orientation: Gtk.Orientation.HORIZONTAL, valign: Gtk.Align.END});
+          utils.addCSSClass(buttonBox, 'linked');
+
+          const upButton       = _createButton('go-up-symbolic', _('Move Up'));
+          const downButton     = _createButton('go-down-symbolic', _('Move Down'));
+          const removeButton   = _createButton('user-trash-symbolic', _('Remove Step'));
+          upButton.sensitive   = i > 0;
+          downButton.sensitive = i < steps.length - 1;
+
+          utils.boxAppend(buttonBox, upButton);
+          utils.boxAppend(buttonBox, downButton);
+          utils.boxAppend(buttonBox, removeButton);
+
+          upButton.connect('clicked', () => {
+            [steps[i - 1], steps[i]] = [steps[i], steps[i - 1]];
+            _updateData();
+            _updateSteps();
+          });
+
+          downButton.connect('clicked', () => {
+            [steps[i], steps[i + 1]] = [steps[i + 1], steps[i]];
+            _updateData();
+            _updateSteps();
+          });
+
+          removeButton.connect('clicked', () => {
+            steps.splice(i, 1);
+            _updateData();
+            _updateSteps();
+          });
+
+          const hBox = new Gtk.Box({orientation: Gtk.Orientation.HORIZONTAL, spacing: 5});
+          typeWidget.hexpand = true;
+          utils.boxAppend(hBox, typeWidget, true, true);
+          utils.boxAppend(hBox, buttonBox);
+          utils.boxAppend(stepsBox, hBox);
+
+          if (!supported) {
+            utils.boxAppend(
+                stepsBox, new Gtk.Separator({margin_top: 20, margin_bottom: 20}));
+            return;
+          }
+
+          // Then add the delay and the configuration widget of the step's action type.
+          utils.boxAppend(
+              stepsBox,
+              ConfigWidgetFactory.createCountWidget(
+                  _('Delay'), _('In milliseconds, before this step.'), 0, 10000, 10,
+                  step.delay, (value) => {
+                    step.delay = value;
+                    _updateData();
+                  }));
+
+          utils.boxAppend(stepsBox, itemType.config.getWidget(step.data, (data) => {
+            step.data = data;
+            _updateData();
+          }));
+
+          utils.boxAppend(
+              stepsBox, new Gtk.Separator({margin_top: 20, margin_bottom: 20}));
+        });
+
+        // We have to show the new widgets on GTK3 manually.
+        if (!utils.gtk4()) {
+          stepsBox.show_all();
+        }
+      };
+
+      _updateSteps();
+
+      // Finally, add a button for adding new steps.
+      const addButton = new Gtk.Button({label: _('Add Step'), margin_top: 20});
+      utils.boxAppend(vBox, addButton);
+
+      addButton.connect('clicked', () => {
+        steps.push(_createStep(STEP_TYPES[0]));
+        _updateData();
+        _updateSteps();
+      });
+
+      return vBox;
+    }
+  },
+
+  // This will be called whenever a menu is opened containing an item of this kind.
+  createItem: (data) => {
+    // Use default data for undefined properties.
+    data = {...action.config.defaultData, ...data};
+
+    // Create all steps right away. Steps with unsupported types are ignored.
+    const items = [];
+    data.steps.forEach(step => {
+      if (STEP_TYPES.includes(step.type)) {
+        const itemType = ItemRegistry.ItemRegistry.getItemTypes()[step.type];
+        const item     = itemType.createItem(step.data);
+
+        // The signals of DBusSignal steps are emitted via the callback set by the Daemon.
+        if (step.type == 'DBusSignal') {
+          item.onSelect = () => {
+            if (_signalCallback) {
+              _signalCallback(item.id, step.data);
+            }
+          };
+        }
+
+        items.push({item: item, delay: step.delay || 0});
+      } else {
+        utils.debug('Ignoring macro step of unsupported type \'' + step.type + '\'!');
+      }
+    });
+
+    // The onSelect() function will be called when the user selects this action. It
+    // executes one step after another, waiting for the configured delays in between.
+    return {
+      onSelect: () => {
+        const executeStep = (i) => {
+          if (i >= items.length) {
+            return;
+          }
+
+          GLib.timeout_add(GLib.PRIORITY_DEFAULT, items[i].delay, () => {
+            try {
+              items[i].item.onSelect();
+            } catch (error) {
+              utils.debug('Failed to execute macro step: ' + error);
+            }
+
+            executeStep(i + 1);
+            return GLib.SOURCE_REMOVE;
+          });
+        };
+
+        executeStep(0);
+      }
+    };
+  }
+};
+
+// Creates a new step of the given action type with the action's default data.
+const _createStep = (type) => {
+  const config = ItemRegistry.ItemRegistry.getItemTypes()[type].config;
+  return {type: type, data: {...config.defaultData}, delay: 0};
+};
+
+// Creates a Gtk.Button with the given icon and tooltip.
+const _createButton = (iconName, tooltip) => {
+  let button;
+  if (utils.gtk4()) {
+    button = Gtk.Button.new_from_icon_name(iconName);
+  } else {
+    button = Gtk.Button.new_from_icon_name(iconName, Gtk.IconSize.BUTTON);
+  }
+
+  button.tooltip_text = tooltip;
+  return button;
+};
@@ -0,0 +1,234 @@
+//////////////////////////////////////////////////////////////////////////////////////////
+//        ___            _     ___                                                      //
+//        |   |   \/    | ) |  |           This software may be modified and distri-    //
+//    O-  |-  |   |  -  |   |  |-  -O      buted under the terms of the MIT license.    //
+//        |   |_  |     |   |  |_          See the LICENSE file for details.            //
+//                                                                                      //
+//////////////////////////////////////////////////////////////////////////////////////////
+
+'use strict';
+
+const Gtk = imports.gi.Gtk;
+
+const _ = imports.gettext.domain('flypie').gettext;
+
+const Me                  = imports.misc.extensionUtils.getCurrentExtension();
+const utils               = Me.imports.src.common.utils;
+const ItemRegistry        = Me.imports.src.common.ItemRegistry;
+const ConfigWidgetFactory = Me.imports.src.common.ConfigWidgetFactory.ConfigWidgetFactory;
+
+// We have to import the Meta module optionally. This is because this file is included
+// from both sides: From prefs.js and from extension.js. When included from prefs.js, this
+// module is not available. This is not a problem, as the preferences will not call the
+// createItem() methods below; they are merely interested in the action's name, icon and
+// description.
+let Meta = undefined;
+
+try {
+  Meta = imports.gi.Meta;
+} catch (error) {
+  // Nothing to be done, we're in settings-mode.
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////
+// The window action manipulates a window when activated. This can either be the window //
+// which was focused when the menu was opened or the window which was under the mouse   //
+// pointer at this time.                                                                //
+// See common/ItemRegistry.js for a description of the action's format.                 //
+//////////////////////////////////////////////////////////////////////////////////////////
+
+var action = {
+
+  // There are two fundamental item types in Fly-Pie: Actions and Menus. Actions have an
+  // onSelect() method which is called when the user selects the item, Menus can have
+  // child Actions or Menus.
+  class: ItemRegistry.ItemClass.ACTION,
+
+  // This will be shown in the add-new-item-popover of the settings dialog.
+  name: _('Window Action'),
+
+  // This is also used in the add-new-item-popover.
+  icon: 'flypie-menu-running-apps-symbolic-#5a8',
+
+  // Translators: Please keep this short.
+  // This is the (short) description shown in the add-new-item-popover.
+  subtitle: _('Tiles, moves or closes a window.'),
+
+  // This is the (long) description shown when an item of this type is selected.
+  description: _(
+      'The <b>Window Action</b> manipulates either the focused window or the window under the mouse pointer. It can tile, maximize, or close the window, keep it above all others, or move it to another workspace or monitor.'),
+
+  // Items of this type have several additional configuration parameter. The operation
+  // can be 'tile-left', 'tile-right', 'maximize', 'minimize', 'above', 'close',
+  // 'workspace', or 'monitor'. The target can be 'focused' or 'pointer'. The index is
+  // only used by the last two operations and refers to the workspace or monitor
+  // respectively.
+  config: {
+    // This is used as data for newly created items of this type.
+    defaultData: {operation: 'maximize', target: 'focused', index: 0},
+
+    // This is called whenever an item of this type is selected in the menu editor. It
+    // returns a Gtk.Widget which will be shown in the sidebar of the menu editor. The
+    // currently configured data object will be passed as first parameter. The second
+    // parameter is a callback which must be fired whenever the user changes something in
+    // the widgets.
+    getWidget(data, updateCallback) {
+      // Use default data for undefined properties.
+      data = {...this.defaultData, ...data};
+
+      const vBox = new Gtk.Box({orientation: Gtk.Orientation.VERTICAL});
+
+      utils.boxAppend(
+          vBox,
+          ConfigWidgetFactory.createComboWidget(
+              _('Operation'), _('This will be done with the window.'),
+              [
+                ['tile-left', _('Tile Left')],
+                ['tile-right', _('Tile Right')],
+                ['maximize', _('Toggle Maximization')],
+                ['minimize', _('Minimize')],
+                ['above', _('Toggle Always on Top')],
+                ['close', _('Close')],
+                ['workspace', _('Move to Workspace')],
+                ['monitor', _('Move to Monitor')],
+              ],
+              data.operation, (operation) => {
+                data.operation = operation;
+                updateCallback({...data});
+              }));
+
+      utils.boxAppend(
+          vBox,
+          ConfigWidgetFactory.createComboWidget(
+              _('Window'), _('When the menu was opened.'),
+              [
+                ['focused', _('Focused Window')],
+                ['pointer', _('Window under Pointer')],
+              ],
+              data.target, (target) => {
+                data.target = target;
+                updateCallback({...data});
+              }));
+
+      utils.boxAppend(
+          vBox,
+          ConfigWidgetFactory.createCountWidget(
+              _('Workspace / Monitor'), _('Only used when moving windows.'), 0, 100, 1,
+              data.index, (value) => {
+                data.index = value;
+                updateCallback({...data});
+              }));
+
+      return vBox;
+    }
+  },
+
+  // This will be called whenever a menu is opened containing an item of this kind. This
+  // is the point in time where we determine the target window.
+  createItem: (data) => {
+    // Use default data for undefined properties.
+    data = {...action.config.defaultData, ...data};
+
+    const window =
+        data.target == 'pointer' ? _getWindowUnderPointer() : global.display.focus_window;
+
+    // The onSelect() function will be called when the user selects this action.
+    return {
+      onSelect: () => {
+        if (!window) {
+          utils.debug('Failed to execute window action: There is no target window.');
+          return;
+        }
+
+        try {
+          _executeOperation(window, data.operation, data.index);
+        } catch (error) {
+          utils.debug('Failed to execute window action: ' + error);
+        }
+      }
+    };
+  }
+};
+
+// Returns the top-most visible window of the active workspace which contains the mouse
+// pointer. If there is no such window, null is returned.
+const _getWindowUnderPointer = () => {
+  const [x, y]    = global.get_pointer();
+  const workspace = global.workspace_manager.get_active_workspace();
+  const windows   = global.display.sort_windows_by_stacking(workspace.list_windows());
+
+  // The windows are sorted bottom to top, so we search from the end.
+  for (let i = windows.length - 1; i >= 0; i--) {
+    const window = windows[i];
+
+    if (window.minimized || window.get_window_type() == Meta.WindowType.DESKTOP) {
+      continue;
+    }
+
+    const rect = window.get_frame_rect();
+    if (x >= rect.x && x < rect.x + rect.width && y >= rect.y &&
+        y < rect.y + rect.height) {
+      return window;
+    }
+  }
+
+  return null;
+};
+
+// Performs the given operation on the given window. See the documentation of the
+// action's config above for a list of supported operations.
+const _executeOperation = (window, operation, index) => {
+  switch (operation) {
+    case 'tile-left':
+    case 'tile-right': {
+      // We resize the window to cover one half of the work area of its monitor.
+      const area = window.get_work_area_current_monitor();
+      const x    = operation == 'tile-left' ? area.x : area.x + Math.ceil(area.width / 2);
+
+      if (window.get_maximized()) {
+        window.unmaximize(Meta.MaximizeFlags.BOTH);
+      }
+
+      window.move_resize_frame(true, x, area.y, Math.floor(area.width / 2), area.height);
+      break;
+    }
+
+    case 'maximize':
+      if (window.get_maximized() == Meta.MaximizeFlags.BOTH) {
+        window.unmaximize(Meta.MaximizeFlags.BOTH);
+      } else {
+        window.maximize(Meta.MaximizeFlags.BOTH);
+      }
+      break;
+
+    case 'minimize':
+      window.minimize();
+      break;
+
+    case 'above':
+      if (window.is_above()) {
+        window.unmake_above();
+      } else {
+        window.make_above();
+      }
+      break;
+
+    case 'close':
+      window.delete(global.get_current_time());
+      break;
+
+    case 'workspace':
+      // Indices beyond the last workspace or monitor are clamped.
+      index = Math.min(index, global.workspace_manager.get_n_workspaces() - 1);
+      window.change_workspace_by_index(index, false);
+      break;
+
+    case 'monitor':
+      index = Math.min(index, global.display.get_n_monitors() - 1);
+      window.move_to_monitor(index);
+      break;
+
+    default:
+      utils.debug('Unknown window operation \'' + operation + '\'!');
+  }
+};
@@ -43,88 +43,98 @@ var menu = {
   description: _(
       'The <b>Bookmarks</b> menu shows an item for the trash, your desktop and each bookmarked directory.'),
 
-  // This will be called whenever a menu is opened containing an item of this kind.
+  // This will be called whenever a menu is opened containing an item of this kind. All
+  // file operations are done asynchronously, as some of the bookmarks may point to slow
+  // network mounts. Therefore, a promise is returned.
   createItem: () => {
-    // Adds an action for the given (file://) uri to the children list of
-    // the given menu item. The name parameter is optional and will be used
-    // if given. Else the name of the file defined by the uri is used.
-    const pushForUri = (menu, uri, name) => {
-      // First check wether the file actually exists.
-      const file = Gio.File.new_for_uri(uri);
-      if (file.query_exists(null)) {
-
-        // If no name is given, query the display name.
-        if (name == undefined) {
-          try {
-            const info = file.query_info('standard::display-name', 0, null);
-            name       = info.get_display_name();
-          } catch (e) {
-            name = file.get_basename();
-          }
-        }
-
-        // Try tgo retrieve an icon for the file.
-        let icon = 'image-missing';
-        try {
-          const info = file.query_info('standard::icon', 0, null);
-          icon       = info.get_icon().to_string();
-        } catch (e) {
-        }
-
-        // Push the new item.
-        menu.children.push({
-          name: name,
-          icon: icon,
-          onSelect: () => {
-            // Open the file with the default application.
-            try {
-              const ctx = global.create_app_launch_context(0, -1);
-              Gio.AppInfo.launch_default_for_uri(uri, ctx);
-            } catch (error) {
-              utils.debug('Failed to open "%s": %s'.format(this.name, error));
-            }
-          }
-        });
-      }
+    // Returns a promise which resolves to an action for the given uri. If the file
+    // defined by the uri does not exist, the promise resolves to null. The name parameter
+    // is optional and will be used if given. Else the display name of the file is used.
+    const createItemForUri = (uri, name) => {
+      return new Promise((resolve) => {
+        const file = Gio.File.new_for_uri(uri);
+        file.query_info_async(
+            'standard::display-name,standard::icon', Gio.FileQueryInfoFlags.NONE,
+            GLib.PRIORITY_DEFAULT, null, (file, result) => {
+              let info;
+
+              // This throws if the file does not exist.
+              try {
+                info = file.query_info_finish(result);
+              } catch (error) {
+                resolve(null);
+                return;
+              }
+
+              resolve({
+                name: name || info.get_display_name(),
+                icon: info.get_icon() ? info.get_icon().to_string() : 'image-missing',
+                onSelect: () => {
+                  // Open the file with the default application.
+                  try {
+                    const ctx = global.create_app_launch_context(0, -1);
+                    Gio.AppInfo.launch_default_for_uri(uri, ctx);
+                  } catch (error) {
+                    utils.debug('Failed to open "%s": %s'.format(uri, error));
+                  }
+                }
+              });
+            });
+      });
     };
 
-    // Create the submenu for all the bookmarks.
-    const result = {children: []};
-
-    // Add the trash entry.
-    pushForUri(result, 'trash://');
-
-    // Add the home entry.
-    pushForUri(result, 'file://' + GLib.get_home_dir());
-
-    // Add the desktop entry.
-    pushForUri(
-        result,
-        'file://' + GLib.get_user_special_dir(GLib.UserDirectory.DIRECTORY_DESKTOP));
+    // Returns a promise which resolves to a list of [uri, name] pairs for each line of
+    // the gtk bookmarks file. The name will be undefined if no alias is given.
+    const readBookmarks = () => {
+      return new Promise((resolve) => {
+        const file =
+            Gio.File.new_for_path(GLib.get_home_dir() + '/.config/gtk-3.0/bookmarks');
+        file.load_contents_async(null, (file, result) => {
+          const bookmarks = [];
 
-    // Read the gtk bookmarks file and add an entry for each line.
-    const bookmarksFile = GLib.get_home_dir() + '/.config/gtk-3.0/bookmarks';
-    try {
-      const [ok, bookmarks] = GLib.file_get_contents(bookmarksFile);
-
-      if (ok) {
-        // Split the content at line breaks.
-        ByteArray.toString(bookmarks).split(/\r?\n/).forEach(uri => {
-          // Some lines contain an alias for the bookmark. This alias starts
-          // at the first space of the line.
-          const firstSpace = uri.indexOf(' ');
-
-          if (firstSpace >= 0) {
-            pushForUri(result, uri.slice(0, firstSpace), uri.slice(firstSpace + 1));
-          } else {
-            pushForUri(result, uri);
+          try {
+            const [ok, contents] = file.load_contents_finish(result);
+
+            // Split the content at line breaks.
+            ByteArray.toString(contents).split(/\r?\n/).forEach(uri => {
+              if (uri == '') {
+                return;
+              }
+
+              // Some lines contain an alias for the bookmark. This alias starts
+              // at the first space of the line.
+              const firstSpace = uri.indexOf(' ');
+
+              if (firstSpace >= 0) {
+                bookmarks.push([uri.slice(0, firstSpace), uri.slice(firstSpace + 1)]);
+              } else {
+                bookmarks.push([uri]);
+              }
+            });
+          } catch (error) {
+            utils.debug(error);
           }
+
+          resolve(bookmarks);
         });
-      }
-    } catch (error) {
-      utils.debug(error);
-    }
+      });
+    };
 
-    return result;
+    // The trash, the home directory, and the desktop are always shown first.
+    const uris = [
+      ['trash://'],
+      ['file://' + GLib.get_home_dir()],
+      ['file://' + GLib.get_user_special_dir(GLib.UserDirectory.DIRECTORY_DESKTOP)],
+    ];
+
+    // Create the submenu for all the bookmarks. Files which do not exist are skipped.
+    return readBookmarks()
+        .then((bookmarks) => {
+          return Promise.all(
+              [...uris, ...bookmarks].map(([uri, name]) => createItemForUri(uri, name)));
+        })
+        .then((items) => {
+          return {children: items.filter((item) => item != null)};
+        });
   }
 };
@@ -24,17 +24,35 @@ const ConfigWidgetFactory = Me.imports.src.common.ConfigWidgetFactory.ConfigWidg
 // call the createItem() methods below; they are merely interested in the menu's name,
 // icon and description.
 let ClipboardManager = undefined;
+let Clutter          = undefined;
 
 try {
   ClipboardManager = Me.imports.src.extension.ClipboardManager.ClipboardManager;
+  Clutter          = imports.gi.Clutter;
 } catch (error) {
   // Nothing to be done, we're in settings-mode.
 }
 
+// In "angles" mode, pinned items are placed at fixed angles. The first pinned item is
+// placed at the configured angle, each subsequent one this many degrees further
+// clockwise.
+const PINNED_ANGLE_STEP = 30;
+
+// The mime filter of the menu can be used to show only some kinds of copied things.
+// These are the mime types belonging to each filter.
+const MIME_FILTERS = {
+  text: ['text/html', 'text/plain', 'text/plain;charset=utf-8'],
+  images: ['image/svg+xml', 'image/png', 'image/webp', 'image/jpeg'],
+  files: ['x-special/gnome-copied-files', 'text/uri-list'],
+};
+
 //////////////////////////////////////////////////////////////////////////////////////////
 // Returns a menu item with entries for the last things copied to the clipboard.        //
 // Selecting the entries pastes them by simulating Ctrl+V. For now, it supports vector  //
-// and raster images, URLs and plain text.                                              //
+// and raster images, files, URIs, HTML and plain text.                                 //
+// Selecting an entry with the middle mouse button or with Shift+Return pins or unpins  //
+// it instead. Pinned entries are shown either in a dedicated submenu or at fixed       //
+// angles.                                                                              //
 // To keep track of the last copied things, the ClipboardManager class is used. Menus   //
 // in Fly-Pie are very volatile, they only exist while they are visible on screen. A    //
 // user could open a custom menu over the D-Bus API containing a Clipboard menu.        //
@@ -61,13 +79,26 @@ var menu = {
   subtitle: _('Shows recently copied things.'),
 
   // This is the (long) description shown when an item of this type is selected.
-  description: _('The <b>Clipboard</b> menu shows a list of recently copied things.'),
-
-  // Items of this type have an additional count configuration parameter which is the
-  // maximum number of items to display.
+  description: _(
+      'The <b>Clipboard</b> menu shows a list of recently copied things. Select an item with the middle mouse button or with <i>Shift+Return</i> to pin or unpin it. Pinned items are never removed from the history.'),
+
+  // Items of this type have several additional configuration parameters. The maximum
+  // number of items to display, the angle of the most recent item, a mime filter which
+  // can be 'all', 'text', 'images', or 'files', the way pinned items are shown which can
+  // be 'submenu' or 'angles', the angle of the first pinned item, the selection whose
+  // history is shown which can be 'clipboard', 'primary', or 'both', and the paste
+  // strategy (see ClipboardManager.pasteItem() for a list of available strategies).
   config: {
     // This is used as data for newly created items of this type.
-    defaultData: {maxNum: 7, firstAngle: -1},
+    defaultData: {
+      maxNum: 7,
+      firstAngle: -1,
+      mimeFilter: 'all',
+      pinnedMode: 'submenu',
+      pinnedAngle: 180,
+      selection: 'clipboard',
+      pasteStrategy: 'default'
+    },
 
     // This is called whenever an item of this type is selected in the menu editor. It
     // returns a Gtk.Widget which will be shown in the sidebar of the menu editor. The
@@ -83,7 +114,7 @@ var menu = {
       // Add a spin button for configuring the number of displayed items.
       const countBox = ConfigWidgetFactory.createConfigWidgetCaption(
           _('Max Item Count'), _('Limits the number of children.'));
-      const countSpinButton = Gtk.SpinButton.new_with_range(1, 20, 1);
+      const countSpinButton = Gtk.SpinButton.new_with_range(1, 200, 1);
       countSpinButton.value = data.maxNum;
       utils.boxAppend(countBox, countSpinButton);
       utils.boxAppend(box, countBox);
@@ -97,16 +128,84 @@ var menu = {
       utils.boxAppend(angleBox, angleSpinButton);
       utils.boxAppend(box, angleBox);
 
+      // Add a combo box for choosing the selection whose history is shown.
+      utils.boxAppend(
+          box,
+          ConfigWidgetFactory.createComboWidget(
+              _('Selection'), _('The primary selection has to be enabled.'),
+              [
+                ['clipboard', _('Clipboard')],
+                ['primary', _('Primary Selection')],
+                ['both', _('Both')],
+              ],
+              data.selection, (selection) => {
+                data.selection = selection;
+                _updateData();
+              }));
+
+      // Add a combo box for choosing how the items are pasted.
+      utils.boxAppend(
+          box,
+          ConfigWidgetFactory.createPasteStrategyWidget(
+              data.pasteStrategy, (strategy) => {
+                data.pasteStrategy = strategy;
+                _updateData();
+              }));
+
+      // Add a combo box for filtering the shown items by their mime type.
+      utils.boxAppend(
+          box,
+          ConfigWidgetFactory.createComboWidget(
+              _('Filter'), _('Show only some kinds of items.'),
+              [
+                ['all', _('Everything')],
+                ['text', _('Text Only')],
+                ['images', _('Images Only')],
+                ['files', _('Files Only')],
+              ],
+              data.mimeFilter, (mimeFilter) => {
+                data.mimeFilter = mimeFilter;
+                _updateData();
+              }));
+
+      // Add a combo box for choosing how pinned items are shown.
+      utils.boxAppend(
+          box,
+          ConfigWidgetFactory.createComboWidget(
+              _('Pinned Items'), _('Middle-click items to pin them.'),
+              [
+                ['submenu', _('In a Submenu')],
+                ['angles', _('At Fixed Angles')],
+              ],
+              data.pinnedMode, (pinnedMode) => {
+                data.pinnedMode = pinnedMode;
+                _updateData();
+              }));
+
+      // Add a spin button for configuring the angle of the first pinned item.
+      const pinnedAngleBox = ConfigWidgetFactory.createConfigWidgetCaption(
+          _('Pinned Item Angle'), _('Direction of the first pinned item.'));
+      const pinnedAngleSpinButton = Gtk.SpinButton.new_with_range(0, 359, 1);
+      pinnedAngleSpinButton.value = data.pinnedAngle;
+      utils.boxAppend(pinnedAngleBox, pinnedAngleSpinButton);
+      utils.boxAppend(box, pinnedAngleBox);
+
       // This is called whenever one of the widgets is modified.
       const _updateData = () => {
         updateCallback({
           maxNum: countSpinButton.value,
           firstAngle: angleSpinButton.value,
+          mimeFilter: data.mimeFilter,
+          pinnedMode: data.pinnedMode,
+          pinnedAngle: pinnedAngleSpinButton.value,
+          selection: data.selection,
+          pasteStrategy: data.pasteStrategy,
         });
       };
 
       countSpinButton.connect('notify::value', () => _updateData());
       angleSpinButton.connect('notify::value', () => _updateData());
+      pinnedAngleSpinButton.connect('notify::value', () => _updateData());
 
       return box;
     }
@@ -121,72 +220,20 @@ var menu = {
     // This menu configuration will be filled with children and returned at the end.
     const result = {children: []};
 
-    // Get a list of recently copied things from the ClipboardManager.
-    const items = ClipboardManager.getInstance().getItems();
-
-    // The ClipboardManager stores the copied things in several hard-coded mime type
-    // formats (see the documentation of that class for more details). Based on the mime
-    // type, we create different child items.
-    for (let i = 0; i < items.length && i < data.maxNum; i++) {
-      const item = items[i];
-      let child  = null;
-
-      // If the copied data was text, we create an item which shows a small portion of the
-      // text as icon and a longer portion as name.
-      if (item.type === 'text/plain' || item.type == 'text/plain;charset=utf-8') {
-
-        const text = ByteArray.toString(ByteArray.fromGBytes(item.data));
-
-        child = {
-          icon: text.substring(0, 8) + (text.length > 8 ? '…' : ''),
-          name: text.substring(0, 30) + (text.length > 30 ? '…' : '')
-        };
-      }
-      // If the copied item contains a list of copied files, we display an appropriate
-      // icon and name for the first file.
-      else if (item.type === 'x-special/gnome-copied-files') {
-
-        const data   = ByteArray.toString(ByteArray.fromGBytes(item.data));
-        const lines  = data.split(/\r?\n/);
-        const file   = lines[1];  // The first item contains the action (cut, copy).
-        const config = ItemRegistry.ItemRegistry.createActionConfig(file);
+    // Get a list of recently copied things from the ClipboardManager. Things which do
+    // not belong to the configured selection or do not match the configured mime filter
+    // are skipped.
+    const items = ClipboardManager.getInstance().getItems().filter(item => {
+      return (data.selection == 'both' || data.selection == item.selection) &&
+          (data.mimeFilter == 'all' || MIME_FILTERS[data.mimeFilter].includes(item.type));
+    });
 
-        child = {icon: config.icon, name: config.name};
-      }
-      // If the copied item contains a vector image, we encode the data as base64 image so
-      // that we can actually preview it as icon.
-      else if (item.type === 'image/svg+xml') {
-
-        child = {
-          icon: 'data:image/svg+xml;base64,' +
-              GLib.base64_encode(ByteArray.fromGBytes(item.data)),
-          // Translators: This is shown as item name in the clipboard menu when the user
-          // copied a vector image.
-          name: _('Vector Image')
-        };
-      }
-      // If the copied item contains a raster image, we encode the data as base64 image so
-      // that we can actually preview it as icon.
-      else if (item.type === 'image/png') {
-
-        child = {
-          icon: 'data:image/png;base64,' +
-              GLib.base64_encode(ByteArray.fromGBytes(item.data)),
-          // Translators: This is shown as item name in the clipboard menu when the user
-          // copied a raster image.
-          name: _('Raster Image')
-        };
-      }
-      // In all other cases we log an error.
-      else {
-        utils.debug(
-            `Failed to add clipboard item: Unsupported mime type "${item.type}" given!`);
-      }
+    // First we add the most recent items which are not pinned.
+    const recentItems = items.filter(item => !item.pinned);
+    for (let i = 0; i < recentItems.length && result.children.length < data.maxNum; i++) {
+      const child = _createChild(recentItems[i], data.pasteStrategy);
 
-      // If we successfully created an item, we add it to the result children list and
-      // assign an "onSelect" callback which will paster the contained data.
       if (child) {
-        child.onSelect = () => ClipboardManager.getInstance().pasteItem(item);
         result.children.push(child);
 
         // Assign the configured fixed angle for the first child.
@@ -196,6 +243,147 @@ var menu = {
       }
     }
 
+    // Then we add the pinned items, either in a submenu or at fixed angles.
+    const pinnedChildren = items.filter(item => item.pinned)
+                               .map(item => _createChild(item, data.pasteStrategy))
+                               .filter(child => child != null);
+
+    if (pinnedChildren.length > 0) {
+      if (data.pinnedMode == 'angles') {
+        // Fixed angles have to increase monotonically in the order of the children. If
+        // the pinned items start before the first recent item, they are added in front of
+        // the recent items and must not exceed its angle. Pinned items which do not fit
+        // anymore are placed automatically.
+        const firstAngle  = result.children.length > 0 ? data.firstAngle : -1;
+        const prepend     = firstAngle >= 0 && data.pinnedAngle <= firstAngle;
+        const maxAngle    = prepend ? firstAngle : 360;
+        const pinnedAngle = Math.max(0, data.pinnedAngle);
+
+        pinnedChildren.forEach((child, i) => {
+          const angle = pinnedAngle + i * PINNED_ANGLE_STEP;
+          if (angle < maxAngle) {
+            child.angle = angle;
+          }
+        });
+
+        if (prepend) {
+          result.children.unshift(...pinnedChildren);
+        } else {
+          result.children.push(...pinnedChildren);
+        }
+      } else {
+        result.children.push({
+          // Translators: This is the name of the submenu containing pinned items in the
+          // clipboard menu.
+          name: _('Pinned'),
+          icon: 'starred-symbolic',
+          children: pinnedChildren
+        });
+      }
+    }
+
     return result;
   }
-};
\ No newline at end of file
+};
+
+// Creates a menu item for the given item of the ClipboardManager. The ClipboardManager
+// stores the copied things in several hard-coded mime type formats (see the
+// documentation of that class for more details). Based on the richest mime type, we
+// create different child items. If the mime type is not supported, null is returned.
+// When selected, the item is pasted using the given paste strategy.
+const _createChild = (item, pasteStrategy) => {
+  let child = null;
+
+  // If the copied data was text, we create an item which shows a small portion of the
+  // text as icon and a longer portion as name. For HTML, we use the plain text
+  // representation if there is one. Else we simply strip all tags.
+  if (item.type === 'text/plain' || item.type == 'text/plain;charset=utf-8' ||
+      item.type == 'text/html') {
+
+    let text        = null;
+    const plainText = item.formats.find(format => format.type.startsWith('text/plain'));
+
+    if (plainText) {
+      text = ByteArray.toString(ByteArray.fromGBytes(plainText.data));
+    } else {
+      text = ByteArray.toString(ByteArray.fromGBytes(item.data))
+                 .replace(/<[^>]*>/g, '')
+                 .replace(/\s+/g, ' ')
+                 .trim();
+    }
+
+    child = {
+      icon: text.substring(0, 8) + (text.length > 8 ? '…' : ''),
+      name: text.substring(0, 30) + (text.length > 30 ? '…' : '')
+    };
+  }
+  // If the copied item contains a list of copied files, we display an appropriate
+  // icon and name for the first file.
+  else if (item.type === 'x-special/gnome-copied-files') {
+
+    const data   = ByteArray.toString(ByteArray.fromGBytes(item.data));
+    const lines  = data.split(/\r?\n/);
+    const file   = lines[1];  // The first item contains the action (cut, copy).
+    const config = ItemRegistry.ItemRegistry.createActionConfig(file);
+
+    child = {icon: config.icon, name: config.name};
+  }
+  // If the copied item contains a list of URIs, we display an appropriate icon and name
+  // for the first URI. Lines starting with a # are comments.
+  else if (item.type === 'text/uri-list') {
+
+    const data   = ByteArray.toString(ByteArray.fromGBytes(item.data));
+    const uri    = data.split(/\r?\n/).find(line => line != '' && !line.startsWith('#'));
+    const config = ItemRegistry.ItemRegistry.createActionConfig(uri || '');
+
+    child = {icon: config.icon, name: config.name};
+  }
+  // If the copied item contains a vector image, we encode the data as base64 image so
+  // that we can actually preview it as icon.
+  else if (item.type === 'image/svg+xml') {
+
+    child = {
+      icon: 'data:image/svg+xml;base64,' +
+          GLib.base64_encode(ByteArray.fromGBytes(item.data)),
+      // Translators: This is shown as item name in the clipboard menu when the user
+      // copied a vector image.
+      name: _('Vector Image')
+    };
+  }
+  // If the copied item contains a raster image, we encode the data as base64 image so
+  // that we can actually preview it as icon.
+  else if (
+      item.type === 'image/png' || item.type === 'image/webp' ||
+      item.type === 'image/jpeg') {
+
+    child = {
+      icon: 'data:' + item.type + ';base64,' +
+          GLib.base64_encode(ByteArray.fromGBytes(item.data)),
+      // Translators: This is shown as item name in the clipboard menu when the user
+      // copied a raster image.
+      name: _('Raster Image')
+    };
+  }
+  // In all other cases we log an error.
+  else {
+    utils.debug(
+        `Failed to add clipboard item: Unsupported mime type "${item.type}" given!`);
+    return null;
+  }
+
+  // Assign an "onSelect" callback which will paste the contained data. If the item is
+  // selected with the middle mouse button or with Shift+Return, it is pinned or unpinned
+  // instead. Mouse selections are only made once all modifier keys are released, so
+  // Shift cannot be used for mouse selections.
+  child.onSelect = (modifiers) => {
+    const pinModifiers =
+        Clutter.ModifierType.BUTTON2_MASK | Clutter.ModifierType.SHIFT_MASK;
+    if (modifiers & pinModifiers) {
+      ClipboardManager.getInstance().setPinned(item, !item.pinned);
+    } else {
+      ClipboardManager.getInstance().pasteItem(item, pasteStrategy);
+    }
+  };
+
+  return child;
+};
@@ -0,0 +1,308 @@
+//////////////////////////////////////////////////////////////////////////////////////////
+//        ___            _     ___                                                      //
+//        |   |   \/    | ) |  |           This software may be modified and distri-    //
+//    O-  |-  |   |  -  |   |  |-  -O      buted under the terms of the MIT license.    //
+//        |   |_  |     |   |  |_          See the LICENSE file for details.            //
+//                                                                                      //
+//////////////////////////////////////////////////////////////////////////////////////////
+
+'use strict';
+
+const {Gtk, Gio, GLib} = imports.gi;
+
+const _ = imports.gettext.domain('flypie').gettext;
+
+const Me                  = imports.misc.extensionUtils.getCurrentExtension();
+const utils               = Me.imports.src.common.utils;
+const ItemRegistry        = Me.imports.src.common.ItemRegistry;
+const ConfigWidgetFactory = Me.imports.src.common.ConfigWidgetFactory.ConfigWidgetFactory;
+
+// These file attributes are queried for each entry of a directory.
+const ATTRIBUTES =
+    'standard::name,standard::display-name,standard::type,standard::icon,' +
+    'standard::is-hidden,standard::size,time::modified';
+
+// The entries of a directory are enumerated asynchronously in batches of this size.
+const ENUMERATION_BATCH_SIZE = 100;
+
+//////////////////////////////////////////////////////////////////////////////////////////
+// The folder menu shows the contents of a directory. Subdirectories are shown as       //
+// submenus, files are opened with their default application when selected. If a        //
+// directory contains more entries than configured, the remaining ones are moved to a   //
+// "More..." submenu.                                                                   //
+// See common/ItemRegistry.js for a description of the action's format.                 //
+//////////////////////////////////////////////////////////////////////////////////////////
+
+var menu = {
+
+  // There are two fundamental item types in Fly-Pie: Actions and Menus. Actions have an
+  // onSelect() method which is called when the user selects the item, Menus can have
+  // child Actions or Menus.
+  class: ItemRegistry.ItemClass.MENU,
+
+  // This will be shown in the add-new-item-popover of the settings dialog.
+  name: _('Folder'),
+
+  // This is also used in the add-new-item-popover.
+  icon: 'flypie-action-file-symbolic-#6a7',
+
+  // Translators: Please keep this short.
+  // This is the (short) description shown in the add-new-item-popover.
+  subtitle: _('Shows the contents of a folder.'),
+
+  // This is the (long) description shown when an item of this type is selected.
+  description: _(
+      'The <b>Folder</b> menu shows the files and subfolders of the given folder. Subfolders are shown as submenus, files are opened with their default application. The files can be filtered with patterns like <i>*.pdf;*.odt</i>. If a folder contains more items than configured, the remaining ones are shown in a "More..." submenu.'),
+
+  // Items of this type have several additional configuration parameter. The sort order
+  // can be 'name', 'modified', or 'size'. The glob may contain several patterns separated
+  // by semicolons, it is only applied to files.
+  config: {
+    // This is used as data for newly created items of this type.
+    defaultData:
+        {directory: '~', showHidden: false, sortOrder: 'name', maxItems: 12, glob: ''},
+
+    // This is called whenever an item of this type is selected in the menu editor. It
+    // returns a Gtk.Widget which will be shown in the sidebar of the menu editor. The
+    // currently configured data object will be passed as first parameter. The second
+    // parameter is a callback which must be fired whenever the user changes something in
+    // the widgets.
+    getWidget(data, updateCallback) {
+      // Use default data for undefined properties.
+      data = {...this.defaultData, ...data};
+
+      const vBox = new Gtk.Box({orientation: Gtk.Orientation.VERTICAL});
+
+      utils.boxAppend(
+          vBox,
+          ConfigWidgetFactory.createFileWidget(
+              _('Folder'), _('Its contents will be shown.'),
+              data.directory, (directory) => {
+                data.directory = directory;
+                updateCallback({...data});
+              }, true));
+
+      utils.boxAppend(
+          vBox,
+          ConfigWidgetFactory.createTextWidget(
+              _('Filter'), _('Leave empty to show all files.'),
+              _('One or several patterns like <i>*.pdf;*.odt</i>. Folders are always shown.'),
+              data.glob, (text) => {
+                data.glob = text;
+                updateCallback({...data});
+              }));
+
+      utils.boxAppend(
+          vBox,
+          ConfigWidgetFactory.createComboWidget(
+              _('Sort Order'), _('Folders are shown first.'),
+              [
+                ['name', _('Name')],
+                ['modified', _('Last Modified')],
+                ['size', _('Size')],
+              ],
+              data.sortOrder, (sortOrder) => {
+                data.sortOrder = sortOrder;
+                updateCallback({...data});
+              }));
+
+      utils.boxAppend(
+          vBox,
+          ConfigWidgetFactory.createCountWidget(
+              _('Max Item Count'), _('Per level, the rest is moved to a submenu.'), 2,
+              100, 1, data.maxItems, (value) => {
+                data.maxItems = value;
+                updateCallback({...data});
+              }));
+
+      // There is no ConfigWidgetFactory method for toggles, so we create the switch here.
+      const hBox = new Gtk.Box(
+          {orientation: Gtk.Orientation.HORIZONTAL, spacing: 5, margin_top: 20});
+      utils.boxAppend(
+          hBox,
+          new Gtk.Label(
+              {label: _('Show Hidden Files'), halign: Gtk.Align.START, hexpand: true}),
+          false, true);
+
+      const toggle = new Gtk.Switch({active: data.showHidden, halign: Gtk.Align.END});
+      utils.boxAppend(hBox, toggle);
+      utils.boxAppend(vBox, hBox);
+
+      toggle.connect('notify::active', () => {
+        data.showHidden = toggle.active;
+        updateCallback({...data});
+      });
+
+      return vBox;
+    }
+  },
+
+  // This will be called whenever a menu is opened containing an item of this kind.
+  createItem: (data) => {
+    // Use default data for undefined properties.
+    data = {...menu.config.defaultData, ...data};
+
+    // Paths starting with a tilde are relative to the home directory.
+    let directory = data.directory;
+    if (directory.startsWith('~')) {
+      directory = GLib.get_home_dir() + directory.slice(1);
+    }
+
+    // The directory is only read once the children of this menu are shown. This is done
+    // asynchronously, a placeholder is shown until the contents are available.
+    return {
+      childrenProvider: () =>
+          _createDirectoryItems(Gio.File.new_for_path(directory), data)
+    };
+  }
+};
+
+// Returns a promise resolving to a list of menu items for the contents of the given
+// directory. The first item opens the directory itself in the file manager. If there are
+// more entries than configured, the remaining ones are moved to nested "More..."
+// submenus. Subdirectories are read lazily once they are shown.
+const _createDirectoryItems = (directory, data) => {
+  return _listDirectory(directory, data).then(infos => {
+    const items = [_createOpenItem(directory, _('Open Folder'), 'folder-open')];
+
+    infos.forEach(info => {
+      const file = directory.get_child(info.get_name());
+      const name = info.get_display_name();
+      const icon = info.get_icon() ? info.get_icon().to_string() : 'image-missing';
+
+      if (info.get_file_type() == Gio.FileType.DIRECTORY) {
+        items.push({
+          name: name,
+          icon: icon,
+          childrenProvider: () => _createDirectoryItems(file, data)
+        });
+      } else {
+        items.push(_createOpenItem(file, name, icon));
+      }
+    });
+
+    return _splitItems(items, data.maxItems);
+  });
+};
+
+// Returns a promise resolving to a list of Gio.FileInfo objects for all entries of the
+// given directory which should be shown according to the given configuration. The list
+// is already sorted. If the directory cannot be read, the list is empty.
+const _listDirectory = (directory, data) => {
+  const globs = data.glob.split(';').map(glob => glob.trim()).filter(glob => glob != '');
+
+  // Returns true if the given Gio.FileInfo should be shown.
+  const isShown = (info) => {
+    if (info.get_is_hidden() && !data.showHidden) {
+      return false;
+    }
+
+    // The glob patterns are only applied to files.
+    return info.get_file_type() == Gio.FileType.DIRECTORY || globs.length == 0 ||
+        globs.some(glob => GLib.pattern_match_simple(glob, info.get_name()));
+  };
+
+  return _enumerateChildren(directory)
+      .then(infos => _sortInfos(infos.filter(isShown), data.sortOrder))
+      .catch(error => {
+        utils.debug('Failed to list directory ' + directory.get_path() + ': ' + error);
+        return [];
+      });
+};
+
+// Returns a promise resolving to a list of Gio.FileInfo objects for all entries of the
+// given directory. The entries are enumerated asynchronously in batches.
+const _enumerateChildren = (directory) => {
+  return new Promise((resolve, reject) => {
+    directory.enumerate_children_async(
+        ATTRIBUTES, Gio.FileQueryInfoFlags.NONE, GLib.PRIORITY_DEFAULT, null,
+        (d, result) => {
+          try {
+            const enumerator = directory.enumerate_children_finish(result);
+            const infos      = [];
+
+            const next = () => {
+              enumerator.next_files_async(
+                  ENUMERATION_BATCH_SIZE, GLib.PRIORITY_DEFAULT, null, (e, result) => {
+                    try {
+                      const batch = enumerator.next_files_finish(result);
+
+                      if (batch.length == 0) {
+                        enumerator.close(null);
+                        resolve(infos);
+                      } else {
+                        infos.push(...batch);
+                        next();
+                      }
+                    } catch (error) {
+                      reject(error);
+                    }
+                  });
+            };
+
+            next();
+
+          } catch (error) {
+            reject(error);
+          }
+        });
+  });
+};
+
+// Directories come first, the rest is sorted according to the given order. Recently
+// modified and large files are shown first.
+const _sortInfos = (infos, sortOrder) => {
+  return infos.sort((a, b) => {
+    const aIsDir = a.get_file_type() == Gio.FileType.DIRECTORY;
+    const bIsDir = b.get_file_type() == Gio.FileType.DIRECTORY;
+
+    if (aIsDir != bIsDir) {
+      return aIsDir ? -1 : 1;
+    }
+
+    if (sortOrder == 'modified') {
+      return b.get_attribute_uint64('time::modified') -
+          a.get_attribute_uint64('time::modified');
+    }
+
+    if (sortOrder == 'size') {
+      return b.get_size() - a.get_size();
+    }
+
+    return a.get_display_name().localeCompare(b.get_display_name());
+  });
+};
+
+// If the given list contains more than maxItems items, the last slot is replaced with a
+// "More..." submenu containing the remaining items. This is done recursively, so each
+// level of the menu contains at most maxItems items.
+const _splitItems = (items, maxItems) => {
+  if (items.length <= maxItems) {
+    return items;
+  }
+
+  const result = items.slice(0, maxItems - 1);
+  result.push({
+    name: _('More...'),
+    icon: 'view-more-symbolic',
+    children: _splitItems(items.slice(maxItems - 1), maxItems)
+  });
+
+  return result;
+};
+
+// Creates an item which opens the given Gio.File with the default application.
+const _createOpenItem = (file, name, icon) => {
+  return {
+    name: name,
+    icon: icon,
+    onSelect: () => {
+      try {
+        const ctx = global.create_app_launch_context(0, -1);
+        Gio.AppInfo.launch_default_for_uri(file.get_uri(), ctx);
+      } catch (error) {
+        utils.debug('Failed to open "%s": %s'.format(name, error));
+      }
+    }
+  };
+};
@@ -8,7 +8,7 @@
 
 'use strict';
 
-const GMenu = imports.gi.GMenu;
+const {GMenu, GLib} = imports.gi;
 
 const _ = imports.gettext.domain('flypie').gettext;
 
@@ -17,6 +17,34 @@ const utils        = Me.imports.src.common.utils;
 const ItemRegistry = Me.imports.src.common.ItemRegistry;
 
 
+// GMenu.Tree can only be loaded synchronously. Therefore, the tree is loaded only once
+// and then reused until any of the menu files change.
+let _tree       = null;
+let _treeLoaded = false;
+
+const _getRootDirectory = () => {
+  if (_tree == null) {
+    _tree =
+        new GMenu.Tree({menu_basename: 'applications.menu', flags: GMenu.TreeFlags.NONE});
+    _tree.connect('changed', () => _treeLoaded = false);
+  }
+
+  if (!_treeLoaded) {
+    _tree.load_sync();
+    _treeLoaded = true;
+  }
+
+  return _tree.get_root_directory();
+};
+
+// This drops the cached menu tree so that it stops watching the menu files. It is called
+// when the extension is disabled.
+var clearCache = () => {
+  _tree       = null;
+  _treeLoaded = false;
+};
+
+
 //////////////////////////////////////////////////////////////////////////////////////////
 // Returns an item containing the menu tree of all installed applications.              //
 // See common/ItemRegistry.js for a description of the action's format.                 //
@@ -74,17 +102,18 @@ var menu = {
             menu.children.push(item);
             break;
 
-          // Recursively add child items to directories.
+          // The child items of directories are only added once they are shown.
           case GMenu.TreeItemType.DIRECTORY:
             const directory = iter.get_directory();
-            item            = {
+            menu.children.push({
               name: directory.get_name(),
               icon: directory.get_icon().to_string(),
-              children: []
-            };
-
-            pushMenuItems(item, directory);
-            menu.children.push(item);
+              childrenProvider: () => {
+                const submenu = {children: []};
+                pushMenuItems(submenu, directory);
+                return submenu.children;
+              }
+            });
             break;
 
           // SEPARATOR, HEADER, ALIAS. skip for now.
@@ -95,15 +124,25 @@ var menu = {
     };
 
 
-    const menu =
-        new GMenu.Tree({menu_basename: 'applications.menu', flags: GMenu.TreeFlags.NONE});
-
-    menu.load_sync();
-
-    const result = {children: []};
-
-    pushMenuItems(result, menu.get_root_directory());
+    // The menu tree is only loaded once the children of this menu are shown. This is
+    // done in an idle callback so that the menu is shown with a "Loading..." placeholder
+    // before.
+    return {
+      childrenProvider: () => {
+        return new Promise((resolve, reject) => {
+          GLib.idle_add(GLib.PRIORITY_LOW, () => {
+            try {
+              const result = {children: []};
+              pushMenuItems(result, _getRootDirectory());
+              resolve(result.children);
+            } catch (error) {
+              reject(error);
+            }
 
-    return result;
+            return GLib.SOURCE_REMOVE;
+          });
+        });
+      }
+    };
   }
 };
\ No newline at end of file
@@ -0,0 +1,248 @@
+//////////////////////////////////////////////////////////////////////////////////////////
+//        ___            _     ___                                                      //
+//        |   |   \/    | ) |  |           This software may be modified and distri-    //
+//    O-  |-  |   |  -  |   |  |-  -O      buted under the terms of the MIT license.    //
+//        |   |_  |     |   |  |_          See the LICENSE file for details.            //
+//                                                                                      //
+//////////////////////////////////////////////////////////////////////////////////////////
+
+'use strict';
+
+const {Gio, GLib} = imports.gi;
+
+const _ = imports.gettext.domain('flypie').gettext;
+
+const Me           = imports.misc.extensionUtils.getCurrentExtension();
+const utils        = Me.imports.src.common.utils;
+const ItemRegistry = Me.imports.src.common.ItemRegistry;
+
+// All media players implementing the MPRIS specification own a bus name starting with
+// this prefix and provide their interfaces on the given object path.
+const MPRIS_PREFIX = 'org.mpris.MediaPlayer2.';
+const MPRIS_PATH   = '/org/mpris/MediaPlayer2';
+const PLAYER_IFACE = 'org.mpris.MediaPlayer2.Player';
+
+// The players are queried asynchronously when the menu is opened. Until all of them
+// replied, a placeholder is shown. We do not wait longer than this for each D-Bus call
+// (in milliseconds), so that unresponsive players do not block the menu for too long.
+const DBUS_TIMEOUT = 500;
+
+// The seek items move the playback position by this amount of microseconds, the volume
+// items change the volume by this amount.
+const SEEK_STEP   = 10000000;
+const VOLUME_STEP = 0.1;
+
+//////////////////////////////////////////////////////////////////////////////////////////
+// The media players menu contains a submenu for each running media player supporting   //
+// the MPRIS D-Bus interface. Each submenu contains items to control the playback and   //
+// the volume of the player.                                                            //
+// See common/ItemRegistry.js for a description of the action's format.                 //
+//////////////////////////////////////////////////////////////////////////////////////////
+
+var menu = {
+
+  // There are two fundamental item types in Fly-Pie: Actions and Menus. Actions have an
+  // onSelect() method which is called when the user selects the item, Menus can have
+  // child Actions or Menus.
+  class: ItemRegistry.ItemClass.MENU,
+
+  // This will be shown in the add-new-item-popover of the settings dialog.
+  name: _('Media Players'),
+
+  // This is also used in the add-new-item-popover.
+  icon: 'flypie-multimedia-symbolic-#c54',
+
+  // Translators: Please keep this short.
+  // This is the (short) description shown in the add-new-item-popover.
+  subtitle: _('Controls running media players.'),
+
+  // This is the (long) description shown when an item of this type is selected.
+  description: _(
+      'The <b>Media Players</b> menu shows a submenu for each running media player. These contain items to play, pause, skip, and seek the current track and to change the volume. This works with all players supporting the MPRIS D-Bus interface, regardless of which player grabs the media keys.'),
+
+  // This will be called whenever a menu is opened containing an item of this kind. The
+  // returned promise resolves once all players have been queried. Players which fail to
+  // reply are skipped.
+  createItem: () => {
+    return _getPlayerBusNames()
+        .then(busNames => {
+          return Promise.all(busNames.map(busName => {
+            const playerPromise = _getProperties(busName, 'org.mpris.MediaPlayer2');
+            const statePromise  = _getProperties(busName, PLAYER_IFACE);
+
+            return Promise.all([playerPromise, statePromise])
+                .then(([player, state]) => _createPlayerMenu(busName, player, state))
+                .catch(error => {
+                  utils.debug('Failed to query media player ' + busName + ': ' + error);
+                  return null;
+                });
+          }));
+        })
+        .then(children => ({children: children.filter(child => child != null)}));
+  }
+};
+
+// Calls the given D-Bus method asynchronously. The returned promise resolves to the
+// unpacked result or is rejected if the call fails or times out.
+const _callMethod = (busName, path, iface, method, parameters, replyType) => {
+  return new Promise((resolve, reject) => {
+    Gio.DBus.session.call(
+        busName, path, iface, method, parameters, new GLib.VariantType(replyType),
+        Gio.DBusCallFlags.NONE, DBUS_TIMEOUT, null, (connection, result) => {
+          try {
+            resolve(connection.call_finish(result).recursiveUnpack()[0]);
+          } catch (error) {
+            reject(error);
+          }
+        });
+  });
+};
+
+// Returns a promise resolving to a list of all bus names on the session bus which belong
+// to MPRIS media players.
+const _getPlayerBusNames = () => {
+  return _callMethod(
+             'org.freedesktop.DBus', '/org/freedesktop/DBus', 'org.freedesktop.DBus',
+             'ListNames', null, '(as)')
+      .then(names => names.filter(name => name.startsWith(MPRIS_PREFIX)).sort())
+      .catch(error => {
+        utils.debug('Failed to list media players: ' + error);
+        return [];
+      });
+};
+
+// Returns a promise resolving to an object containing all properties of the given
+// interface of the player owning the given bus name.
+const _getProperties = (busName, iface) => {
+  return _callMethod(
+      busName, MPRIS_PATH, 'org.freedesktop.DBus.Properties', 'GetAll',
+      new GLib.Variant('(s)', [iface]), '(a{sv})');
+};
+
+// Calls the given method of the player interface. The call is done asynchronously and
+// errors are only logged.
+const _callPlayerMethod = (busName, method, parameters = null) => {
+  Gio.DBus.session.call(
+      busName, MPRIS_PATH, PLAYER_IFACE, method, parameters, null, Gio.DBusCallFlags.NONE,
+      -1, null, (connection, result) => {
+        try {
+          connection.call_finish(result);
+        } catch (error) {
+          utils.debug('Failed to call ' + method + ' on ' + busName + ': ' + error);
+        }
+      });
+};
+
+// Creates the submenu for one media player. The player parameter contains the
+// properties of the org.mpris.MediaPlayer2 interface, the state parameter those of the
+// org.mpris.MediaPlayer2.Player interface.
+const _createPlayerMenu = (busName, player, state) => {
+  const metadata = state.Metadata || {};
+  const playing  = state.PlaybackStatus == 'Playing';
+
+  // Use the artwork of the current track as icon of the submenu if available. Else we
+  // use the icon of the player's desktop file if possible.
+  let icon = 'flypie-multimedia-symbolic';
+  if (metadata['mpris:artUrl'] && metadata['mpris:artUrl'].startsWith('file://')) {
+    icon = Gio.File.new_for_uri(metadata['mpris:artUrl']).get_path();
+  } else if (player.DesktopEntry) {
+    const info = Gio.DesktopAppInfo.new(player.DesktopEntry + '.desktop');
+    if (info && info.get_icon()) {
+      icon = info.get_icon().to_string();
+    } else {
+      utils.debug('Failed to get the icon of ' + player.DesktopEntry + '.desktop!');
+    }
+  }
+
+  const result = {
+    name: player.Identity || busName.slice(MPRIS_PREFIX.length),
+    icon: icon,
+    children: []
+  };
+
+  // The play / pause item shows the current track and the playback state.
+  let trackName = metadata['xesam:title'] || (playing ? _('Pause') : _('Play'));
+  if (metadata['xesam:artist'] && metadata['xesam:artist'].length > 0) {
+    trackName = metadata['xesam:artist'].join(', ') + ' - ' + trackName;
+  }
+
+  const trackIcon =
+      playing ? 'media-playback-pause-symbolic' : 'media-playback-start-symbolic';
+
+  if (state.CanPlay || state.CanPause) {
+    result.children.push({
+      name: trackName,
+      icon: trackIcon,
+      onSelect: () => _callPlayerMethod(busName, 'PlayPause')
+    });
+  }
+
+  if (state.CanGoNext) {
+    result.children.push({
+      name: _('Next Track'),
+      icon: 'media-skip-forward-symbolic',
+      onSelect: () => _callPlayerMethod(busName, 'Next')
+    });
+  }
+
+  if (state.CanSeek) {
+    result.children.push({
+      name: _('Seek Forward'),
+      icon: 'media-seek-forward-symbolic',
+      onSelect: () =>
+          _callPlayerMethod(busName, 'Seek', new GLib.Variant('(x)', [SEEK_STEP]))
+    });
+  }
+
+  // The volume items are only shown if the player reports a volume. The current volume
+  // is shown in their names.
+  if (state.Volume != undefined) {
+    const volume = Math.round(state.Volume * 100);
+
+    // Sets the volume of the player, clamped to the range from zero to one.
+    const setVolume = (value) => {
+      Gio.DBus.session.call(
+          busName, MPRIS_PATH, 'org.freedesktop.DBus.Properties', 'Set',
+          new GLib.Variant(
+              '(ssv)',
+              [
+                PLAYER_IFACE, 'Volume',
+                new GLib.Variant('d', Math.max(0, Math.min(1, value)))
+              ]),
+          null, Gio.DBusCallFlags.NONE, -1, null, null);
+    };
+
+    result.children.push({
+      // Translators: %i will be replaced by the current volume in percent.
+      name: _('Volume Up (%i%)').replace('%i', volume),
+      icon: 'audio-volume-high-symbolic',
+      onSelect: () => setVolume(state.Volume + VOLUME_STEP)
+    });
+
+    result.children.push({
+      // Translators: %i will be replaced by the current volume in percent.
+      name: _('Volume Down (%i%)').replace('%i', volume),
+      icon: 'audio-volume-low-symbolic',
+      onSelect: () => setVolume(state.Volume - VOLUME_STEP)
+    });
+  }
+
+  if (state.CanSeek) {
+    result.children.push({
+      name: _('Seek Backward'),
+      icon: 'media-seek-backward-symbolic',
+      onSelect: () =>
+          _callPlayerMethod(busName, 'Seek', new GLib.Variant('(x)', [-SEEK_STEP]))
+    });
+  }
+
+  if (state.CanGoPrevious) {
+    result.children.push({
+      name: _('Previous Track'),
+      icon: 'media-skip-backward-symbolic',
+      onSelect: () => _callPlayerMethod(busName, 'Previous')
+    });
+  }
+
+  return result;
+};
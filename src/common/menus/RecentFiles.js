@@ -8,7 +8,7 @@
 
 'use strict';
 
-const {Gio, Gtk} = imports.gi;
+const {Gio, GLib, Gtk} = imports.gi;
 
 const _ = imports.gettext.domain('flypie').gettext;
 
@@ -85,32 +85,67 @@ var menu = {
       maxNum = data.maxNum;
     }
 
-    const recentFiles = Gtk.RecentManager.get_default().get_items();
-    const num         = recentFiles.length;
-    const result      = {children: []};
+    // The recent files are only queried once the children of this menu are shown. As
+    // some of them may reside on slow network mounts, we check asynchronously whether
+    // they still exist. Therefore, the children provider returns a promise.
+    return {
+      childrenProvider: () => {
+        const recentFiles = Gtk.RecentManager.get_default().get_items();
+        const children    = [];
+
+        // The files are checked one after another until enough existing files have been
+        // found.
+        const addExistingFiles = (i) => {
+          if (i >= recentFiles.length || children.length >= maxNum) {
+            return Promise.resolve(children);
+          }
+
+          return _fileExists(recentFiles[i]).then((exists) => {
+            if (exists) {
+              children.push({
+                name: recentFiles[i].get_display_name(),
+                icon: recentFiles[i].get_gicon().to_string(),
+                onSelect: () => {
+                  const ctx = global.create_app_launch_context(0, -1);
+
+                  try {
+                    Gio.AppInfo.launch_default_for_uri(recentFiles[i].get_uri(), ctx);
+                  } catch (error) {
+                    utils.debug('Failed to open URI: ' + error);
+                  }
+                }
+              });
+            }
 
-    for (let i = 0; i < num; i++) {
-      if (result.children.length >= maxNum) {
-        break;
+            return addExistingFiles(i + 1);
+          });
+        };
+
+        return addExistingFiles(0);
       }
+    };
+  }
+};
+
+// Returns a promise which resolves to true if the file of the given Gtk.RecentInfo still
+// exists. Like Gtk.RecentInfo.exists(), this only checks local files; all other files
+// are assumed to exist.
+const _fileExists = (info) => {
+  if (!info.is_local()) {
+    return Promise.resolve(true);
+  }
 
-      if (recentFiles[i].exists()) {
-        result.children.push({
-          name: recentFiles[i].get_display_name(),
-          icon: recentFiles[i].get_gicon().to_string(),
-          onSelect: () => {
-            const ctx = global.create_app_launch_context(0, -1);
-
-            try {
-              Gio.AppInfo.launch_default_for_uri(recentFiles[i].get_uri(), ctx);
-            } catch (error) {
-              utils.debug('Failed to open URI: ' + error);
-            }
+  return new Promise((resolve) => {
+    const file = Gio.File.new_for_uri(info.get_uri());
+    file.query_info_async(
+        'standard::type', Gio.FileQueryInfoFlags.NONE, GLib.PRIORITY_DEFAULT, null,
+        (file, result) => {
+          try {
+            file.query_info_finish(result);
+            resolve(true);
+          } catch (error) {
+            resolve(false);
           }
         });
-      }
-    }
-
-    return result;
-  }
-};
\ No newline at end of file
+  });
+};
@@ -135,77 +135,83 @@ var menu = {
     // Use default data for undefined properties.
     data = {...menu.config.defaultData, ...data};
 
-    // Retrieve a list of all running apps and sort it alphabetically to make the window
-    // positions more deterministic.
-    const apps = Shell.AppSystem.get_default().get_running();
-    apps.sort((a, b) => a.get_name().localeCompare(b.get_name()));
-
-    // This will be our menu.
-    const result = {children: []};
-
-    // Now iterate through all windows of all apps.
-    apps.forEach(app => {
-      let windows = app.get_windows();
-
-      // Filter windows which do not match the regex.
-      windows = windows.filter(w => (new RegExp(data.nameRegex)).test(w.title));
-
-      // Filter windows which are not on the current workspace.
-      if (data.activeWorkspaceOnly) {
-        windows = windows.filter(
-            w => w.get_workspace() == global.workspace_manager.get_active_workspace());
-      }
+    // The windows are only collected once the children of this menu are shown.
+    return {
+      childrenProvider: () => {
+        // Retrieve a list of all running apps and sort it alphabetically to make the
+        // window positions more deterministic.
+        const apps = Shell.AppSystem.get_default().get_running();
+        apps.sort((a, b) => a.get_name().localeCompare(b.get_name()));
+
+        // This will be our menu.
+        const result = {children: []};
+
+        // Now iterate through all windows of all apps.
+        apps.forEach(app => {
+          let windows = app.get_windows();
+
+          // Filter windows which do not match the regex.
+          windows = windows.filter(w => (new RegExp(data.nameRegex)).test(w.title));
+
+          // Filter windows which are not on the current workspace.
+          if (data.activeWorkspaceOnly) {
+            windows = windows.filter(
+                w =>
+                    w.get_workspace() == global.workspace_manager.get_active_workspace());
+          }
 
-      // Sort the remaining windows alphabetically.
-      windows.sort((a, b) => a.title.localeCompare(b.title));
+          // Sort the remaining windows alphabetically.
+          windows.sort((a, b) => a.title.localeCompare(b.title));
 
-      // Get the icon for our items.
-      let icon = 'image-missing';
-      try {
-        icon = app.get_app_info().get_icon().to_string();
-      } catch (e) {
-      }
-
-      // We will add the window items directly to the result menu. Only if there are more
-      // than one window for the current app and grouping is enabled, we will create a
-      // submenu.
-      let parentMenu = result;
-      if (data.appGrouping && windows.length > 1) {
-        parentMenu = {name: app.get_name(), icon: icon, children: []};
-        result.children.push(parentMenu);
-      }
+          // Get the icon for our items.
+          let icon = 'image-missing';
+          try {
+            icon = app.get_app_info().get_icon().to_string();
+          } catch (e) {
+          }
 
-      // Now add the actual items!
-      windows.forEach(window => {
-        parentMenu.children.push({
-          name: window.get_title(),
-          icon: icon,
-          wasMinimized: false,
-          // If selected, we switch to the corresponding window. If window peeking is
-          // enabled, this is not required as the hover event was fired already.
-          onSelect: () => {
-            window.get_workspace().activate_with_focus(
-                window, global.display.get_current_time_roundtrip());
-          },
-
-          // If hovered, we switch to the corresponding window if window peeking is
-          // enabled.
-          onHover: () => {
-            if (data.hoverPeeking) {
-              this.wasMinimized = window.minimized;
-              window.get_workspace().activate_with_focus(
-                  window, global.display.get_current_time_roundtrip());
-            }
-          },
-          onUnhover: () => {
-            if (data.hoverPeeking && this.wasMinimized) {
-              window.minimize();
-            }
+          // We will add the window items directly to the result menu. Only if there are
+          // more than one window for the current app and grouping is enabled, we will
+          // create a submenu.
+          let parentMenu = result;
+          if (data.appGrouping && windows.length > 1) {
+            parentMenu = {name: app.get_name(), icon: icon, children: []};
+            result.children.push(parentMenu);
           }
+
+          // Now add the actual items!
+          windows.forEach(window => {
+            parentMenu.children.push({
+              name: window.get_title(),
+              icon: icon,
+              wasMinimized: false,
+              // If selected, we switch to the corresponding window. If window peeking is
+              // enabled, this is not required as the hover event was fired already.
+              onSelect: () => {
+                window.get_workspace().activate_with_focus(
+                    window, global.display.get_current_time_roundtrip());
+              },
+
+              // If hovered, we switch to the corresponding window if window peeking is
+              // enabled.
+              onHover: () => {
+                if (data.hoverPeeking) {
+                  this.wasMinimized = window.minimized;
+                  window.get_workspace().activate_with_focus(
+                      window, global.display.get_current_time_roundtrip());
+                }
+              },
+              onUnhover: () => {
+                if (data.hoverPeeking && this.wasMinimized) {
+                  window.minimize();
+                }
+              }
+            });
+          });
         });
-      });
-    });
 
-    return result;
+        return result.children;
+      }
+    };
   }
 };
\ No newline at end of file
@@ -0,0 +1,232 @@
+//////////////////////////////////////////////////////////////////////////////////////////
+//        ___            _     ___                                                      //
+//        |   |   \/    | ) |  |           This software may be modified and distri-    //
+//    O-  |-  |   |  -  |   |  |-  -O      buted under the terms of the MIT license.    //
+//        |   |_  |     |   |  |_          See the LICENSE file for details.            //
+//                                                                                      //
+//////////////////////////////////////////////////////////////////////////////////////////
+
+'use strict';
+
+const {Gtk, Gio, GLib} = imports.gi;
+
+const _ = imports.gettext.domain('flypie').gettext;
+
+const Me                  = imports.misc.extensionUtils.getCurrentExtension();
+const utils               = Me.imports.src.common.utils;
+const ItemRegistry        = Me.imports.src.common.ItemRegistry;
+const ConfigWidgetFactory = Me.imports.src.common.ConfigWidgetFactory.ConfigWidgetFactory;
+
+// The output of successful script runs is stored in this map. The scripts are used as
+// keys, the values are objects with a 'time' (in microseconds) and an 'output' property.
+const _cache = new Map();
+
+//////////////////////////////////////////////////////////////////////////////////////////
+// The script menu runs a shell command whenever it is opened. The command has to print //
+// a JSON menu description to stdout; this uses the same format as the ShowCustomMenu   //
+// D-Bus method. The items in this description become the children of the menu.         //
+// See common/ItemRegistry.js for a description of the action's format.                 //
+//////////////////////////////////////////////////////////////////////////////////////////
+
+var menu = {
+
+  // There are two fundamental item types in Fly-Pie: Actions and Menus. Actions have an
+  // onSelect() method which is called when the user selects the item, Menus can have
+  // child Actions or Menus.
+  class: ItemRegistry.ItemClass.MENU,
+
+  // This will be shown in the add-new-item-popover of the settings dialog.
+  name: _('Script Menu'),
+
+  // This is also used in the add-new-item-popover.
+  icon: 'flypie-action-command-symbolic-#4a8',
+
+  // Translators: Please keep this short.
+  // This is the (short) description shown in the add-new-item-popover.
+  subtitle: _('Shows items printed by a script.'),
+
+  // This is the (long) description shown when an item of this type is selected.
+  description: _(
+      'The <b>Script Menu</b> runs the given command whenever it is opened. The command has to print a menu description in JSON format, the items of this description will be shown in the menu. This uses <a href="https://github.com/Schneegans/Fly-Pie/blob/main/docs/dbus-interface.md">the same format as custom menus opened via D-Bus</a>. The output can be cached to make opening the menu faster.'),
+
+  // Items of this type have several additional configuration parameter.
+  config: {
+    // This is used as data for newly created items of this type. The timeout and the
+    // cache duration are given in seconds. A cache duration of zero disables caching.
+    defaultData: {script: '', timeout: 5, cacheDuration: 0},
+
+    // This is called whenever an item of this type is selected in the menu editor. It
+    // returns a Gtk.Widget which will be shown in the sidebar of the menu editor. The
+    // currently configured data object will be passed as first parameter. The second
+    // parameter is a callback which must be fired whenever the user changes something in
+    // the widgets.
+    getWidget(data, updateCallback) {
+      // Use default data for undefined properties.
+      data = {...this.defaultData, ...data};
+
+      const vBox = new Gtk.Box({orientation: Gtk.Orientation.VERTICAL});
+
+      const tooltip = _(
+          'A shell command like <i>~/bin/git-branches.sh</i>. It has to print something like <i>{"children": [{"name": "Item", "icon": "firefox"}]}</i> or simply a list of items.');
+      utils.boxAppend(
+          vBox,
+          ConfigWidgetFactory.createTextWidget(
+              _('Script'), _('Has to print JSON.'), tooltip, data.script, (text) => {
+                data.script = text;
+                updateCallback({...data});
+              }));
+
+      utils.boxAppend(
+          vBox,
+          ConfigWidgetFactory.createCountWidget(
+              _('Timeout'), _('In seconds.'), 1, 60, 1, data.timeout, (value) => {
+                data.timeout = value;
+                updateCallback({...data});
+              }));
+
+      utils.boxAppend(
+          vBox,
+          ConfigWidgetFactory.createCountWidget(
+              _('Cache Duration'), _('In seconds. Use zero to disable.'), 0, 86400, 1,
+              data.cacheDuration, (value) => {
+                data.cacheDuration = value;
+                updateCallback({...data});
+              }));
+
+      return vBox;
+    }
+  },
+
+  // This will be called whenever a menu is opened containing an item of this kind.
+  createItem: (data) => {
+    // Use default data for undefined properties.
+    data = {...menu.config.defaultData, ...data};
+
+    // Use the cached output if it is recent enough. In this case, the children are
+    // created right away.
+    const cached = _cache.get(data.script);
+    if (cached &&
+        GLib.get_monotonic_time() - cached.time < data.cacheDuration * 1000000) {
+      return _createResult(cached.output, data.script);
+    }
+
+    // Else run the script asynchronously. The menu shows a placeholder until the promise
+    // resolves. If the script fails, an error item is shown instead.
+    return _runScript(data.script, data.timeout)
+        .then((output) => {
+          _cache.set(data.script, {time: GLib.get_monotonic_time(), output: output});
+          return _createResult(output, data.script);
+        })
+        .catch((errorItem) => {
+          return {children: [errorItem]};
+        });
+  }
+};
+
+// Runs the given script with /bin/sh. The returned promise resolves to the output of the
+// script. If the script does not exit with status zero or if it does not finish within
+// the given number of seconds, the promise is rejected with an error item. In the latter
+// case, the script is killed.
+const _runScript = (script, timeout) => {
+  return new Promise((resolve, reject) => {
+    let subprocess;
+    try {
+      subprocess = Gio.Subprocess.new(
+          ['/bin/sh', '-c', script],
+          Gio.SubprocessFlags.STDOUT_PIPE | Gio.SubprocessFlags.STDERR_PIPE);
+    } catch (error) {
+      reject(_createErrorItem(_('Script Failed'), error.message));
+      return;
+    }
+
+    // Kill the script if it takes too long. As the script may have spawned child
+    // processes which keep the pipes open, we also cancel reading its output and reject
+    // the promise right away.
+    const cancellable = new Gio.Cancellable();
+
+    let timedOut    = false;
+    const timeoutID = GLib.timeout_add(GLib.PRIORITY_DEFAULT, timeout * 1000, () => {
+      timedOut = true;
+      subprocess.force_exit();
+      cancellable.cancel();
+      reject(_createErrorItem(
+          _('Script Timed Out'),
+          _('The script did not finish within %i seconds.').replace('%i', timeout)));
+      return GLib.SOURCE_REMOVE;
+    });
+
+    subprocess.communicate_utf8_async(null, cancellable, (subprocess, result) => {
+      // The promise has already been rejected in this case.
+      if (timedOut) {
+        return;
+      }
+
+      GLib.source_remove(timeoutID);
+
+      try {
+        const [ok, stdout, stderr] = subprocess.communicate_utf8_finish(result);
+
+        if (!subprocess.get_successful()) {
+          reject(_createErrorItem(
+              _('Script Failed'),
+              (stderr || '').trim() ||
+                  _('The script exited with status %i.')
+                      .replace('%i', subprocess.get_exit_status())));
+        } else {
+          resolve(stdout || '');
+        }
+
+      } catch (error) {
+        reject(_createErrorItem(_('Script Failed'), error.message));
+      }
+    });
+  });
+};
+
+// Parses the output of a script and transforms it to menu items. The script may print a
+// menu description with a "children" property or simply a list of items. If the output
+// is invalid, it is removed from the cache and an error item is returned instead. If any
+// of the items has a command condition, the children are only available asynchronously.
+// In this case, a promise resolving to the result is returned.
+const _createResult = (output, script) => {
+  // This is used if the output is invalid.
+  const createError = (error) => {
+    _cache.delete(script);
+    return {children: [_createErrorItem(_('Invalid Script Output'), String(error))]};
+  };
+
+  try {
+    const json     = JSON.parse(output);
+    const children = Array.isArray(json) ? json : json.children;
+
+    if (!Array.isArray(children)) {
+      throw 'The script output contains no list of items!';
+    }
+
+    const config = {type: 'CustomMenu', children: children};
+    ItemRegistry.ItemRegistry.normalizeConfig(config);
+    const structure = ItemRegistry.ItemRegistry.transformConfig(config);
+
+    if (structure.childrenPromise) {
+      return structure.childrenPromise.then((children) => ({children: children}))
+          .catch(createError);
+    }
+
+    return {children: structure.children || []};
+
+  } catch (error) {
+    return createError(error);
+  }
+};
+
+// Creates an item which is shown if the script failed. Selecting it shows a notification
+// containing the given details.
+const _createErrorItem = (name, details) => {
+  return {
+    name: name,
+    icon: 'dialog-error-symbolic',
+    onSelect: () => {
+      utils.notify(name, details);
+    }
+  };
+};
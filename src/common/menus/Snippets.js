@@ -0,0 +1,381 @@
+//////////////////////////////////////////////////////////////////////////////////////////
+//        ___            _     ___                                                      //
+//        |   |   \/    | ) |  |           This software may be modified and distri-    //
+//    O-  |-  |   |  -  |   |  |-  -O      buted under the terms of the MIT license.    //
+//        |   |_  |     |   |  |_          See the LICENSE file for details.            //
+//                                                                                      //
+//////////////////////////////////////////////////////////////////////////////////////////
+
+'use strict';
+
+const {Gtk, Gio, GLib} = imports.gi;
+const ByteArray        = imports.byteArray;
+
+const _ = imports.gettext.domain('flypie').gettext;
+
+const Me                  = imports.misc.extensionUtils.getCurrentExtension();
+const utils               = Me.imports.src.common.utils;
+const ItemRegistry        = Me.imports.src.common.ItemRegistry;
+const ConfigWidgetFactory = Me.imports.src.common.ConfigWidgetFactory.ConfigWidgetFactory;
+const InsertText          = Me.imports.src.common.actions.InsertText;
+
+// These are used for snippets and subdirectories which do not specify an icon in their
+// front matter.
+const SNIPPET_ICON   = 'flypie-action-insert-text-symbolic';
+const DIRECTORY_ICON = 'folder';
+
+// The parsed snippet directories are stored in this map. The directory paths are used as
+// keys, the values are objects with a 'snippets', a 'promise', and a 'monitors'
+// property. 'snippets' is null while the directory is still being parsed. Whenever
+// something changes in one of the watched directories, the corresponding entry is
+// removed so that the directory is parsed again when the menu is opened the next time.
+const _cache = new Map();
+
+// This cancels all Gio.FileMonitors and clears the cache. It is called when the extension
+// is disabled.
+var clearCache = () => {
+  _cache.forEach(entry => entry.monitors.forEach(monitor => monitor.cancel()));
+  _cache.clear();
+};
+
+//////////////////////////////////////////////////////////////////////////////////////////
+// The snippets menu shows an item for each text file in a directory. Selecting an item //
+// inserts the file's content like the insert-text action does, so the same             //
+// placeholders can be used. Subdirectories are shown as submenus. Each file may start  //
+// with a front matter block which can be used to set the icon and the angle:           //
+//   ---                                                                                //
+//   icon: face-smile                                                                   //
+//   angle: 90                                                                          //
+//   ---                                                                                //
+// For subdirectories, this can be done with a file called .directory in the same       //
+// format. The directories are parsed asynchronously and watched for changes with a    //
+// Gio.FileMonitor.                                                                     //
+// See common/ItemRegistry.js for a description of the action's format.                 //
+//////////////////////////////////////////////////////////////////////////////////////////
+
+var menu = {
+
+  // There are two fundamental item types in Fly-Pie: Actions and Menus. Actions have an
+  // onSelect() method which is called when the user selects the item, Menus can have
+  // child Actions or Menus.
+  class: ItemRegistry.ItemClass.MENU,
+
+  // This will be shown in the add-new-item-popover of the settings dialog.
+  name: _('Snippets'),
+
+  // This is also used in the add-new-item-popover.
+  icon: 'flypie-action-insert-text-symbolic-#a84',
+
+  // Translators: Please keep this short.
+  // This is the (short) description shown in the add-new-item-popover.
+  subtitle: _('Inserts text files of a folder.'),
+
+  // This is the (long) description shown when an item of this type is selected.
+  description: _(
+      'The <b>Snippets</b> menu shows an item for each text file in the given folder. Selecting an item inserts the content of the file just like the <b>Insert Text</b> action does. Subfolders are shown as submenus. A file may start with a block like <i>---\nicon: face-smile\nangle: 90\n---</i> to set the icon and the angle of its item.'),
+
+  // Items of this type have several additional configuration parameter.
+  config: {
+    // This is used as data for newly created items of this type.
+    defaultData: {directory: '', pasteStrategy: 'default'},
+
+    // This is called whenever an item of this type is selected in the menu editor. It
+    // returns a Gtk.Widget which will be shown in the sidebar of the menu editor. The
+    // currently configured data object will be passed as first parameter. The second
+    // parameter is a callback which must be fired whenever the user changes something in
+    // the widgets.
+    getWidget(data, updateCallback) {
+      // Use default data for undefined properties.
+      data = {...this.defaultData, ...data};
+
+      const vBox = new Gtk.Box({orientation: Gtk.Orientation.VERTICAL});
+
+      utils.boxAppend(
+          vBox,
+          ConfigWidgetFactory.createFileWidget(
+              _('Folder'), _('Contains the snippets.'), data.directory, (directory) => {
+                data.directory = directory;
+                updateCallback({...data});
+              }, true));
+
+      utils.boxAppend(
+          vBox,
+          ConfigWidgetFactory.createPasteStrategyWidget(data.pasteStrategy, (value) => {
+            data.pasteStrategy = value;
+            updateCallback({...data});
+          }));
+
+      return vBox;
+    }
+  },
+
+  // This will be called whenever a menu is opened containing an item of this kind. If
+  // the directory has not been parsed before, a promise is returned.
+  createItem: (data) => {
+    // Use default data for undefined properties.
+    data = {...menu.config.defaultData, ...data};
+
+    // Paths starting with a tilde are relative to the home directory.
+    let directory = data.directory;
+    if (directory.startsWith('~')) {
+      directory = GLib.get_home_dir() + directory.slice(1);
+    }
+
+    // Parse the directory if it is not cached.
+    if (!_cache.has(directory)) {
+      if (!GLib.file_test(directory, GLib.FileTest.IS_DIR)) {
+        return {
+          children: [{
+            name: _('Folder Not Found'),
+            icon: 'dialog-error-symbolic',
+            onSelect: () => {
+              utils.notify(
+                  _('Folder Not Found'),
+                  _('The snippets folder "%s" does not exist.').replace('%s', directory));
+            }
+          }]
+        };
+      }
+
+      const entry = {snippets: null, monitors: []};
+
+      // Something changed. Stop watching and parse the directory again next time.
+      const onChanged = () => {
+        entry.monitors.forEach(monitor => monitor.cancel());
+        if (_cache.get(directory) == entry) {
+          _cache.delete(directory);
+        }
+      };
+
+      entry.promise =
+          _loadDirectory(Gio.File.new_for_path(directory), entry.monitors, onChanged)
+              .then(snippets => {
+                entry.snippets = snippets;
+
+                // If the cache was cleared in the meantime, nobody will cancel the
+                // monitors later.
+                if (_cache.get(directory) != entry) {
+                  entry.monitors.forEach(monitor => monitor.cancel());
+                }
+
+                return snippets;
+              });
+
+      _cache.set(directory, entry);
+    }
+
+    const entry = _cache.get(directory);
+
+    if (entry.snippets == null) {
+      return entry.promise.then(
+          snippets => ({children: _createItems(snippets, data.pasteStrategy)}));
+    }
+
+    return {children: _createItems(entry.snippets, data.pasteStrategy)};
+  }
+};
+
+// Parses the given directory recursively. The returned promise resolves to a list of
+// objects: For each subdirectory, an object with a 'name', an 'icon', an 'angle', and a
+// list of 'children' is created. For each text file, an object with a 'name', an 'icon',
+// an 'angle', and the 'text' is created. A Gio.FileMonitor is created for each directory
+// and pushed to the given list of monitors. The given callback is fired whenever one of
+// these monitors reports a change. Errors are logged and result in empty directories.
+const _loadDirectory = (directory, monitors, onChanged) => {
+  try {
+    const monitor = directory.monitor_directory(Gio.FileMonitorFlags.NONE, null);
+    monitor.connect('changed', onChanged);
+    monitors.push(monitor);
+  } catch (error) {
+    utils.debug('Failed to watch snippet directory: ' + error);
+  }
+
+  return _listDirectory(directory)
+      .then(infos => {
+        const items = infos.filter(info => !info.get_is_hidden()).map(info => {
+          const file = directory.get_child(info.get_name());
+
+          if (info.get_file_type() == Gio.FileType.DIRECTORY) {
+            // Subdirectories can be configured with a .directory file.
+            const optionsPromise  = _readSnippet(file.get_child('.directory'));
+            const childrenPromise = _loadDirectory(file, monitors, onChanged);
+
+            return Promise.all([optionsPromise, childrenPromise])
+                .then(([[options], children]) => {
+                  return {
+                    name: info.get_name(),
+                    icon: options.icon || DIRECTORY_ICON,
+                    angle: _parseAngle(options.angle, file),
+                    children: children
+                  };
+                });
+          }
+
+          if (Gio.content_type_is_a(info.get_content_type(), 'text/plain')) {
+            // The file extension is not shown in the menu.
+            const name = info.get_name().replace(/\.[^.]+$/, '') || info.get_name();
+
+            return _readSnippet(file).then(([options, text]) => {
+              return {
+                name: name,
+                icon: options.icon || SNIPPET_ICON,
+                angle: _parseAngle(options.angle, file),
+                text: text
+              };
+            });
+          }
+
+          return null;
+        });
+
+        return Promise.all(items);
+      })
+      .then(items => {
+        items = items.filter(item => item != null);
+        items.sort((a, b) => a.name.localeCompare(b.name));
+        return _orderAngles(items);
+      })
+      .catch(error => {
+        utils.debug('Failed to load snippet directory: ' + error);
+        return [];
+      });
+};
+
+// Returns a promise resolving to a list of Gio.FileInfos for all files in the given
+// directory.
+const _listDirectory = (directory) => {
+  return new Promise((resolve, reject) => {
+    directory.enumerate_children_async(
+        'standard::name,standard::type,standard::content-type,standard::is-hidden',
+        Gio.FileQueryInfoFlags.NONE, GLib.PRIORITY_DEFAULT, null, (d, result) => {
+          try {
+            const enumerator = directory.enumerate_children_finish(result);
+            const infos      = [];
+
+            const next = () => {
+              enumerator.next_files_async(
+                  100, GLib.PRIORITY_DEFAULT, null, (e, result) => {
+                    try {
+                      const batch = enumerator.next_files_finish(result);
+
+                      if (batch.length == 0) {
+                        enumerator.close(null);
+                        resolve(infos);
+                      } else {
+                        infos.push(...batch);
+                        next();
+                      }
+                    } catch (error) {
+                      reject(error);
+                    }
+                  });
+            };
+
+            next();
+
+          } catch (error) {
+            reject(error);
+          }
+        });
+  });
+};
+
+// Returns the given front-matter angle as number. If no angle is given or if it is not a
+// number between 0 and 360, -1 is returned so that the item is placed automatically.
+const _parseAngle = (angle, file) => {
+  if (angle == undefined) {
+    return -1;
+  }
+
+  const result = parseFloat(angle);
+
+  if (isNaN(result) || result < 0 || result >= 360) {
+    utils.debug(`Ignoring invalid snippet angle "${angle}" of ${file.get_path()}.`);
+    return -1;
+  }
+
+  return result;
+};
+
+// The items are sorted by name, but Fly-Pie requires fixed angles to increase
+// monotonically in the order of the items. Therefore, the items with a fixed angle swap
+// their positions among each other so that their angles are in increasing order. If
+// two items have the same angle, the angle of the latter is ignored.
+const _orderAngles = (items) => {
+  const indices = [];
+  items.forEach((item, i) => {
+    if (item.angle >= 0) {
+      indices.push(i);
+    }
+  });
+
+  const fixed = indices.map(i => items[i]).sort((a, b) => a.angle - b.angle);
+
+  fixed.forEach((item, i) => {
+    if (i > 0 && item.angle == fixed[i - 1].angle) {
+      utils.debug(`Ignoring duplicate snippet angle ${item.angle} of "${item.name}".`);
+      item.angle = -1;
+    }
+    items[indices[i]] = item;
+  });
+
+  return items;
+};
+
+// Reads the given file and splits its content into the front matter and the actual
+// text. The front matter consists of 'key: value' lines enclosed in two '---' lines. The
+// returned promise resolves to an array containing an object with the front matter
+// entries and the remaining text. A single trailing newline is removed from the text. If
+// the file cannot be read, an empty object and an empty string are returned.
+const _readSnippet = (file) => {
+  return new Promise((resolve) => {
+    file.load_contents_async(null, (f, result) => {
+      const options = {};
+      let text      = '';
+
+      try {
+        const [ok, contents] = file.load_contents_finish(result);
+        text                 = ByteArray.toString(contents);
+      } catch (error) {
+        resolve([options, text]);
+        return;
+      }
+
+      const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+      if (match) {
+        match[1].split(/\r?\n/).forEach(line => {
+          const index = line.indexOf(':');
+          if (index > 0) {
+            options[line.slice(0, index).trim()] = line.slice(index + 1).trim();
+          }
+        });
+
+        text = text.slice(match[0].length);
+      }
+
+      resolve([options, text.replace(/\r?\n$/, '')]);
+    });
+  });
+};
+
+// Transforms the parsed snippets to menu items. The items of the snippets are created
+// by the insert-text action.
+const _createItems = (snippets, pasteStrategy) => {
+  return snippets.map(snippet => {
+    if (snippet.children) {
+      return {
+        name: snippet.name,
+        icon: snippet.icon,
+        angle: snippet.angle,
+        children: _createItems(snippet.children, pasteStrategy)
+      };
+    }
+
+    return {
+      ...InsertText.action.createItem({text: snippet.text, pasteStrategy: pasteStrategy}),
+      name: snippet.name,
+      icon: snippet.icon,
+      angle: snippet.angle
+    };
+  });
+};
@@ -0,0 +1,223 @@
+//////////////////////////////////////////////////////////////////////////////////////////
+//        ___            _     ___                                                      //
+//        |   |   \/    | ) |  |           This software may be modified and distri-    //
+//    O-  |-  |   |  -  |   |  |-  -O      buted under the terms of the MIT license.    //
+//        |   |_  |     |   |  |_          See the LICENSE file for details.            //
+//                                                                                      //
+//////////////////////////////////////////////////////////////////////////////////////////
+
+'use strict';
+
+const Cairo            = imports.cairo;
+const {Gdk, Gtk, GLib} = imports.gi;
+
+const _ = imports.gettext.domain('flypie').gettext;
+
+const Me                  = imports.misc.extensionUtils.getCurrentExtension();
+const utils               = Me.imports.src.common.utils;
+const ItemRegistry        = Me.imports.src.common.ItemRegistry;
+const ConfigWidgetFactory = Me.imports.src.common.ConfigWidgetFactory.ConfigWidgetFactory;
+
+// We have to import the Meta and Shell modules optionally. This is because this file is
+// included from both sides: From prefs.js and from extension.js. When included from
+// prefs.js, these modules are not available. This is not a problem, as the preferences
+// will not call the createItem() methods below; they are merely interested in the
+// menu's name, icon and description.
+let Meta  = undefined;
+let Shell = undefined;
+
+try {
+  Meta  = imports.gi.Meta;
+  Shell = imports.gi.Shell;
+} catch (error) {
+  // Nothing to be done, we're in settings-mode.
+}
+
+// The size of the generated workspace icons in pixels. Up to four application icons are
+// drawn into one workspace icon.
+const ICON_SIZE = 128;
+
+//////////////////////////////////////////////////////////////////////////////////////////
+// Returns an item with entries for all workspaces. Clicking these will switch to the   //
+// corresponding workspace or move the focused window there.                            //
+// See common/ItemRegistry.js for a description of the action's format.                 //
+//////////////////////////////////////////////////////////////////////////////////////////
+
+var menu = {
+
+  // There are two fundamental item types in Fly-Pie: Actions and Menus. Actions have an
+  // onSelect() method which is called when the user selects the item, Menus can have
+  // child Actions or Menus.
+  class: ItemRegistry.ItemClass.MENU,
+
+  // This will be shown in the add-new-item-popover of the settings dialog.
+  name: _('Workspaces'),
+
+  // This is also used in the add-new-item-popover.
+  icon: 'flypie-overview-symbolic-#5a9',
+
+  // Translators: Please keep this short.
+  // This is the (short) description shown in the add-new-item-popover.
+  subtitle: _('Shows all workspaces.'),
+
+  // This is the (long) description shown when an item of this type is selected.
+  description: _(
+      'The <b>Workspaces</b> menu shows an item for each workspace. The icons show the applications running on the respective workspace. Selecting an item switches to the workspace or, if configured, moves the focused window there.'),
+
+  // Items of this type have several additional configuration parameter.
+  config: {
+    // This is used as data for newly created items of this type.
+    defaultData: {moveWindow: false, hoverPeeking: true},
+
+    // This is called whenever an item of this type is selected in the menu editor. It
+    // returns a Gtk.Widget which will be shown in the sidebar of the menu editor. The
+    // currently configured data object will be passed as first parameter. The second
+    // parameter is a callback which must be fired whenever the user changes something in
+    // the widgets.
+    getWidget(data, updateCallback) {
+      // Use default data for undefined properties.
+      data = {...this.defaultData, ...data};
+
+      const vBox = new Gtk.Box(
+          {orientation: Gtk.Orientation.VERTICAL, spacing: 5, margin_top: 20});
+
+      let toggles = [];
+
+      // This is called whenever one of the toggles is switched.
+      const _updateData = () => {
+        updateCallback({moveWindow: toggles[0].active, hoverPeeking: toggles[1].active});
+      };
+
+      const _createToggle = (i, name, value) => {
+        const hBox = new Gtk.Box({orientation: Gtk.Orientation.HORIZONTAL, spacing: 5});
+        utils.boxAppend(
+            hBox, new Gtk.Label({label: name, halign: Gtk.Align.START, hexpand: true}),
+            false, true);
+
+        const toggle = new Gtk.Switch({active: value, halign: Gtk.Align.END});
+        utils.boxAppend(hBox, toggle);
+
+        toggle.connect('notify::active', () => {
+          _updateData();
+        });
+
+        utils.boxAppend(vBox, hBox);
+
+        return toggle;
+      };
+
+      toggles[0] = _createToggle(0, _('Move Focused Window Here'), data.moveWindow);
+      toggles[1] = _createToggle(1, _('Peek on Hover'), data.hoverPeeking);
+
+      return vBox;
+    }
+  },
+
+  // This will be called whenever a menu is opened containing an item of this kind.
+  createItem: (data) => {
+    // Use default data for undefined properties.
+    data = {...menu.config.defaultData, ...data};
+
+    // This will be our menu.
+    const result = {children: []};
+
+    // We remember the window which is focused when the menu is opened. If configured, it
+    // will be moved to the selected workspace. We also remember the active workspace, as
+    // we will return there after peeking.
+    const manager         = global.workspace_manager;
+    const focusedWindow   = global.display.focus_window;
+    const activeWorkspace = manager.get_active_workspace();
+
+    for (let i = 0; i < manager.get_n_workspaces(); i++) {
+      const workspace = manager.get_workspace_by_index(i);
+
+      // Collect the icons of all applications with windows on this workspace. The
+      // top-most windows come first.
+      const windows = global.display.sort_windows_by_stacking(
+          workspace.list_windows().filter(w => !w.skip_taskbar));
+      windows.reverse();
+
+      const icons = [];
+      windows.forEach(window => {
+        const app = Shell.WindowTracker.get_default().get_window_app(window);
+
+        let icon = 'image-missing';
+        try {
+          icon = app.get_app_info().get_icon().to_string();
+        } catch (e) {
+        }
+
+        if (!icons.includes(icon)) {
+          icons.push(icon);
+        }
+      });
+
+      result.children.push({
+        name: Meta.prefs_get_workspace_name(i),
+        icon: icons.length > 0 ? _createWorkspaceIcon(icons) : 'flypie-overview-symbolic',
+
+        // If selected, we either move the focused window to the workspace or switch to
+        // the workspace.
+        onSelect: () => {
+          const time = global.display.get_current_time_roundtrip();
+          if (data.moveWindow) {
+            if (focusedWindow) {
+              focusedWindow.change_workspace(workspace);
+            }
+
+            // We may have left the initial workspace while peeking.
+            activeWorkspace.activate(time);
+          } else {
+            workspace.activate(time);
+          }
+        },
+
+        // If hovered, we switch to the corresponding workspace if peeking is enabled.
+        onHover: () => {
+          if (data.hoverPeeking) {
+            workspace.activate(global.display.get_current_time_roundtrip());
+          }
+        },
+
+        // When the item is unhovered, we return to the initially active workspace.
+        onUnhover: () => {
+          if (data.hoverPeeking) {
+            activeWorkspace.activate(global.display.get_current_time_roundtrip());
+          }
+        }
+      });
+    }
+
+    return result;
+  }
+};
+
+// Draws up to four of the given icons into one image. The image is returned as a base64
+// encoded PNG which can be used as icon name for menu items.
+const _createWorkspaceIcon = (icons) => {
+  const surface = new Cairo.ImageSurface(Cairo.Format.ARGB32, ICON_SIZE, ICON_SIZE);
+  const ctx     = new Cairo.Context(surface);
+  const color   = new Gdk.RGBA({red: 1, green: 1, blue: 1, alpha: 1});
+
+  // A single icon covers the entire image, more are drawn in a two-by-two grid.
+  if (icons.length == 1) {
+    utils.paintIcon(ctx, icons[0], ICON_SIZE, 1, 'Sans', color);
+  } else {
+    const size = ICON_SIZE / 2;
+    icons.slice(0, 4).forEach((icon, i) => {
+      ctx.save();
+      ctx.translate((i % 2) * size, Math.floor(i / 2) * size);
+      utils.paintIcon(ctx, icon, size, 1, 'Sans', color);
+      ctx.restore();
+    });
+  }
+
+  // Explicitly tell Cairo to free the context memory.
+  // https://wiki.gnome.org/Projects/GnomeShell/Extensions/TipsOnMemoryManagement#Cairo
+  ctx.$dispose();
+
+  const pixbuf       = Gdk.pixbuf_get_from_surface(surface, 0, 0, ICON_SIZE, ICON_SIZE);
+  const [ok, buffer] = pixbuf.save_to_bufferv('png', [], []);
+
+  return 'data:image/png;base64,' + GLib.base64_encode(buffer);
+};
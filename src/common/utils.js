@@ -28,13 +28,17 @@ function toNumericVersion(x) {
 const Config               = imports.misc.config;
 const [GS_MAJOR, GS_MINOR] = Config.PACKAGE_VERSION.split('.').map(toNumericVersion);
 
-// We import the St module optionally. When this file is included from the daemon
-// side, it is available and can be used below. If this file is included via the pref.js,
-// it will not be available.
-let St = undefined;
+// We import the St, Shell, and Main modules optionally. When this file is included from
+// the daemon side, they are available and can be used below. If this file is included
+// via the pref.js, they will not be available.
+let St    = undefined;
+let Shell = undefined;
+let Main  = undefined;
 
 try {
-  St = imports.gi.St;
+  St    = imports.gi.St;
+  Shell = imports.gi.Shell;
+  Main  = imports.ui.main;
 } catch (error) {
   // Nothing to be done, we're in settings-mode.
 }
@@ -63,6 +67,21 @@ function debug(message) {
   log('[' + stack[0].slice(extensionRoot) + '] ' + message);
 }
 
+//////////////////////////////////////////////////////////////////////////////////////////
+// Shows a desktop notification with the given title and details. The icon name is     //
+// optional, if none is given, an error icon is used. This can only be used on the      //
+// daemon side.                                                                         //
+//////////////////////////////////////////////////////////////////////////////////////////
+
+function notify(title, details, iconName = 'dialog-error-symbolic') {
+  const source = new Main.MessageTray.Source('Fly-Pie', '');
+  Main.messageTray.add(source);
+
+  const gicon = Gio.Icon.new_for_string(iconName);
+  const n     = new Main.MessageTray.Notification(source, title, details, {gicon: gicon});
+  source.showNotification(n);
+}
+
 
 //////////////////////////////////////////////////////////////////////////////////////////
 // Creates a new Gio.Settings object for org.gnome.shell.extensions.flypie and          //
@@ -748,3 +767,147 @@ function computeItemAngles(items, parentAngle) {
 
   return itemAngles;
 }
+
+//////////////////////////////////////////////////////////////////////////////////////////
+// Returns true if all of the given conditions are fulfilled. This is used to decide    //
+// whether a menu should be opened and whether a menu item should be shown. The         //
+// conditions object may contain the following properties, empty strings and negative   //
+// numbers are ignored:                                                                 //
+//   appID:       A regular expression which has to match the app ID or the WM_CLASS    //
+//                of the currently focused window.                                      //
+//   windowTitle: A regular expression which has to match the title of the currently    //
+//                focused window.                                                       //
+//   workspace:   The index of the active workspace, starting at zero.                  //
+//   monitor:     The index of the monitor the pointer is currently on.                 //
+//   command:     A shell command which has to exit with status zero. This is NOT       //
+//                checked here, as the command is executed asynchronously. Use          //
+//                checkCommandCondition() below for this.                               //
+// Invalid regular expressions never match. This can only be used on the daemon side.   //
+//////////////////////////////////////////////////////////////////////////////////////////
+
+function checkConditions(conditions) {
+
+  // No conditions are always fulfilled.
+  if (conditions == undefined) {
+    return true;
+  }
+
+  // Returns true if the given regular expression matches any of the given strings.
+  const matches = (regex, strings) => {
+    try {
+      const re = new RegExp(regex);
+      return strings.some(string => string && re.test(string));
+    } catch (error) {
+      debug('Invalid regular expression in conditions: ' + error);
+      return false;
+    }
+  };
+
+  const window = global.display.focus_window;
+
+  if (conditions.appID) {
+    const ids = [];
+
+    // We check the app ID as well as the WM_CLASS of the focused window.
+    if (window) {
+      const app = Shell.WindowTracker.get_default().get_window_app(window);
+      if (app) {
+        ids.push(app.get_id());
+      }
+
+      ids.push(window.get_wm_class());
+      ids.push(window.get_wm_class_instance());
+      ids.push(window.get_gtk_application_id());
+      ids.push(window.get_sandboxed_app_id());
+    }
+
+    if (!matches(conditions.appID, ids)) {
+      return false;
+    }
+  }
+
+  if (conditions.windowTitle) {
+    if (!matches(conditions.windowTitle, window ? [window.get_title()] : [])) {
+      return false;
+    }
+  }
+
+  if (conditions.workspace >= 0 &&
+      conditions.workspace != global.workspace_manager.get_active_workspace_index()) {
+    return false;
+  }
+
+  if (conditions.monitor >= 0 &&
+      conditions.monitor != global.display.get_current_monitor()) {
+    return false;
+  }
+
+  return true;
+}
+
+// Commands of conditions are killed if they do not finish within this many milliseconds.
+// In this case, the condition is considered to be not fulfilled.
+const CONDITION_COMMAND_TIMEOUT = 1000;
+
+// The results of the command conditions are stored in this map. The commands are used as
+// keys, the values are promises resolving to the results. The map is cleared with
+// clearConditionCache() whenever a menu is opened, so that each command is executed at
+// most once per menu.
+const _commandConditionResults = new Map();
+
+// Returns a promise which resolves to true if the given conditions contain no command or
+// if the command exits with status zero. The command is executed asynchronously and
+// killed after CONDITION_COMMAND_TIMEOUT milliseconds. See checkConditions() above for
+// the other conditions.
+function checkCommandCondition(conditions) {
+  if (conditions == undefined || !conditions.command) {
+    return Promise.resolve(true);
+  }
+
+  const command = conditions.command;
+
+  if (!_commandConditionResults.has(command)) {
+    _commandConditionResults.set(
+        command, new Promise((resolve) => {
+          let subprocess;
+          try {
+            subprocess = Gio.Subprocess.new(
+                ['/bin/sh', '-c', command],
+                Gio.SubprocessFlags.STDOUT_SILENCE | Gio.SubprocessFlags.STDERR_SILENCE);
+          } catch (error) {
+            debug('Failed to execute condition command: ' + error);
+            resolve(false);
+            return;
+          }
+
+          let timedOut = false;
+          const timeoutID =
+              GLib.timeout_add(GLib.PRIORITY_DEFAULT, CONDITION_COMMAND_TIMEOUT, () => {
+                timedOut = true;
+                subprocess.force_exit();
+                return GLib.SOURCE_REMOVE;
+              });
+
+          subprocess.wait_async(null, (subprocess, result) => {
+            if (!timedOut) {
+              GLib.source_remove(timeoutID);
+            }
+
+            try {
+              subprocess.wait_finish(result);
+              resolve(!timedOut && subprocess.get_successful());
+            } catch (error) {
+              resolve(false);
+            }
+          });
+        }));
+  }
+
+  return _commandConditionResults.get(command);
+}
+
+// Forgets the results of all previously executed condition commands. This is called
+// whenever a menu is opened.
+function clearConditionCache() {
+  _commandConditionResults.clear();
+}
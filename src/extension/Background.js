@@ -16,6 +16,11 @@ const utils = Me.imports.src.common.utils;
 
 const _ = imports.gettext.domain('flypie').gettext;
 
+// The width of the search field and its distance to the top of the background in
+// logical pixels.
+const SEARCH_FIELD_WIDTH  = 400;
+const SEARCH_FIELD_MARGIN = 100;
+
 //////////////////////////////////////////////////////////////////////////////////////////
 // This Clutter.Actor represents the background behind the menu. It can be shown in     //
 // normal mode and in preview mode. In normal mode, the background covers the entire    //
@@ -102,6 +107,26 @@ class Background extends Clutter.Actor {
     });
 
     this.add_child(this._controlButtons);
+
+    // Create the search field. This is shown as soon as the user starts typing while a
+    // menu is open. The text is not entered directly, it is set by the Menu via
+    // setSearchText().
+    this._searchField = new St.BoxLayout({
+      style_class: 'search-entry',
+      width: SEARCH_FIELD_WIDTH * utils.getHDPIScale(),
+      visible: false
+    });
+
+    this._searchField.add_child(new St.Icon({
+      style_class: 'search-entry-icon',
+      icon_name: 'edit-find-symbolic',
+      y_align: Clutter.ActorAlign.CENTER
+    }));
+
+    this._searchLabel = new St.Label({y_align: Clutter.ActorAlign.CENTER});
+    this._searchField.add_child(this._searchLabel);
+
+    this.add_child(this._searchField);
   }
 
   // Disconnects all settings connections.
@@ -210,6 +235,17 @@ class Background extends Clutter.Actor {
     this.set_easing_duration(0);
   }
 
+  // Shows the given text in the search field at the top of the background. If an empty
+  // string is given, the search field is hidden.
+  setSearchText(text) {
+    this._searchField.visible = text != '';
+    this._searchLabel.text    = text;
+
+    // Put the search field at the upper center.
+    this._searchField.x = this.width / 2 - this._searchField.width / 2;
+    this._searchField.y = SEARCH_FIELD_MARGIN * utils.getHDPIScale();
+  }
+
   // ----------------------------------------------------------------------- private stuff
 
   // This ensures that the entire input is sent to the background actor.
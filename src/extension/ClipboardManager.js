@@ -8,12 +8,25 @@
 
 'use strict';
 
-const {Meta, Gio, GLib} = imports.gi;
+const {Clutter, GObject, Meta, Gio, GLib, Shell} = imports.gi;
+const ByteArray                                  = imports.byteArray;
+
+const _ = imports.gettext.domain('flypie').gettext;
 
 const Me               = imports.misc.extensionUtils.getCurrentExtension();
 const utils            = Me.imports.src.common.utils;
 const InputManipulator = Me.imports.src.common.InputManipulator.InputManipulator;
 
+// libsecret is not necessarily installed on all systems. So we include it optionally
+// here. If it is not found, the clipboard history cannot be stored encrypted.
+let Secret = undefined;
+
+try {
+  Secret = imports.gi.Secret;
+} catch (error) {
+  // Nothing to be done, encrypted storage will not be available.
+}
+
 //////////////////////////////////////////////////////////////////////////////////////////
 // This singleton class is instantiated whenever the extension is loaded (by the Daemon //
 // class). It monitors the clipboard and stores a certain amount of recently copied     //
@@ -28,28 +41,98 @@ const InputManipulator = Me.imports.src.common.InputManipulator.InputManipulator
 // presses Ctrl+V somewhere else). To store a history of copied things, the Clipboard-  //
 // Manager has to request the data from the current owner. However, it cannot know      //
 // beforehand, in which format any receiving application would like to have the data.   //
-// So it just makes some assumptions and stores the data in a quite commonly used       //
-// format and hopes that the receiver will understands the format.                      //
-// Currently, these mime types are requested (in this order):                           //
-// - 'x-special/gnome-copied-files'                                                     //
-// - 'image/svg+xml'                                                                    //
-// - 'image/png'                                                                        //
-// - 'text/plain;charset=utf-8'                                                         //
-// - 'text/plain'                                                                       //
-// If the data can be provide in one of these formats, and can later be pasted in the   //
-// same format.                                                                         //
+// So it stores the data in several commonly used formats and provides all of them      //
+// when an item is pasted. This way, the receiver can choose the richest format it      //
+// understands. See MIME_TYPE_GROUPS below for a list of the requested formats.         //
+// Items can be pinned. Pinned items are not affected by any of the retention limits    //
+// and will stay in the history until they are unpinned.                                //
+// Optionally, a separate history of the primary selection is stored as well. Items of  //
+// this history are pasted by simulating a middle click.                                //
+// Optionally, the history is stored in the user's data directory so that it survives   //
+// restarts of GNOME Shell. It can be stored as plain JSON file or encrypted with       //
+// openssl. In the latter case, the key is stored in the user's keyring.                //
 //////////////////////////////////////////////////////////////////////////////////////////
 
 // This class is supposed to be used as singleton. This global variable stores the
 // singleton instance.
 let _instance = null;
 
-// We will store the last 20 items.
-const MAX_ENTRIES = 20;
-
 // We will not store things which are larger than 20 MB.
 const MAX_DATA_SIZE_MB = 20;
 
+// These accelerators are simulated by the corresponding paste strategies.
+const PASTE_ACCELERATORS = {
+  'ctrl-v': '<Primary>v',
+  'ctrl-shift-v': '<Primary><Shift>v',
+  'shift-insert': '<Shift>Insert',
+};
+
+// If configured, the previous clipboard contents are restored this many milliseconds
+// after pasting. The receiving application requests the data asynchronously, so we
+// must not restore the contents too early.
+const RESTORE_DELAY = 500;
+
+// The data of a new clipboard owner is requested in these formats. Of each group, only
+// the first format provided by the owner is stored. For example, many applications
+// provide images in a dozen formats; we only need one of these. The groups are ordered
+// from rich to simple formats.
+const MIME_TYPE_GROUPS = [
+  ['x-special/gnome-copied-files'],
+  ['text/uri-list'],
+  ['image/svg+xml', 'image/png', 'image/webp', 'image/jpeg'],
+  ['text/html'],
+  ['text/plain;charset=utf-8', 'text/plain'],
+];
+
+// If the history is stored on disc, it is written to one of these files.
+const HISTORY_DIRECTORY = GLib.build_filenamev([GLib.get_user_data_dir(), 'flypie']);
+const HISTORY_FILES     = {
+      plain: GLib.build_filenamev([HISTORY_DIRECTORY, 'clipboard-history.json']),
+      encrypted: GLib.build_filenamev([HISTORY_DIRECTORY, 'clipboard-history.json.enc'])
+};
+
+// The key for the encrypted history is stored in the user's keyring with this schema.
+const SECRET_SCHEMA     = Secret ?
+        new Secret.Schema(
+            'org.gnome.shell.extensions.flypie', Secret.SchemaFlags.NONE,
+            {'purpose': Secret.SchemaAttributeType.STRING}) :
+        null;
+const SECRET_ATTRIBUTES = {
+  'purpose': 'clipboard-history'
+};
+
+// Some password managers set this mime type to indicate that the clipboard contents
+// should not be stored in any history.
+const PASSWORD_MANAGER_HINT = 'x-kde-passwordManagerHint';
+
+// Meta.SelectionSourceMemory can provide its data in one format only. This selection
+// source provides the data of a clipboard item in all stored formats by delegating each
+// request to a Meta.SelectionSourceMemory of the requested format.
+const MultiFormatSource =
+    GObject.registerClass(class MultiFormatSource extends Meta.SelectionSource {
+      _init(formats) {
+        super._init();
+
+        this._sources = new Map();
+        formats.forEach(format => {
+          this._sources.set(
+              format.type, Meta.SelectionSourceMemory.new(format.type, format.data));
+        });
+      }
+
+      vfunc_get_mimetypes() {
+        return [...this._sources.keys()];
+      }
+
+      vfunc_read_async(mimeType, cancellable, callback) {
+        this._sources.get(mimeType).read_async(mimeType, cancellable, callback);
+      }
+
+      vfunc_read_finish(result) {
+        return result.get_source_object().read_finish(result);
+      }
+    });
+
 var ClipboardManager = class ClipboardManager {
 
   // ---------------------------------------------------------------------- static methods
@@ -81,113 +164,137 @@ var ClipboardManager = class ClipboardManager {
 
     // When we paste an item from the history, we have to transfer it to the clipboard
     // first. This will trigger a clipboard-changed event and then add the old item a
-    // second time to the history. This flag is used to prevent this.
-    this._ignoreNextOwnerChange = false;
+    // second time to the history. This set contains the selection types for which the
+    // next owner change should be ignored.
+    this._ignoredSelections = new Set();
 
-    // This will eventually contain a list of copied things. Each entry contains a "type"
-    // (string) and a "data" (ByteArray) property. The first item is the one copied most
-    // recently.
+    // This will eventually contain a list of copied things. See getItems() below for a
+    // description of the entries. The first item is the one copied most recently.
     this._items = [];
 
-    this._clipboardConnection =
-        global.display.get_selection().connect('owner-changed', (s, type, owner) => {
-          // We are only interested in the ordinary clipboard.
-          if (type != Meta.SelectionType.SELECTION_CLIPBOARD) {
-            return;
+    // The retention limits, the exclusion list and the persistence mode are read from
+    // the settings. If the history is stored on disc, it is written shortly after each
+    // change. This stores the ID of the corresponding timeout.
+    this._settings            = utils.createSettings();
+    this._saveTimeout         = null;
+    this._settingsConnections = [];
+
+    // Once the key for the encrypted history has been retrieved from the keyring, it is
+    // stored here. This is required for saving the history synchronously on destruction.
+    this._encryptionKey = null;
+
+    // If openssl is missing, the user is notified only once.
+    this._openSSLWarningShown = false;
+
+    // Apply changed retention limits immediately.
+    ['clipboard-max-entries', 'clipboard-max-age', 'clipboard-max-size'].forEach(key => {
+      this._settingsConnections.push(this._settings.connect('changed::' + key, () => {
+        this._pruneItems();
+        this._scheduleSave();
+      }));
+    });
+
+    // If the primary selection is not tracked anymore, we remove its history.
+    this._settingsConnections.push(
+        this._settings.connect('changed::clipboard-track-primary', () => {
+          if (!this._settings.get_boolean('clipboard-track-primary')) {
+            this._items = this._items.filter(item => item.selection != 'primary');
+            this._scheduleSave();
           }
+        }));
 
+    // If the persistence mode changes, we remove the old files and save the history in
+    // the new format.
+    this._settingsConnections.push(
+        this._settings.connect('changed::clipboard-persistence', () => {
+          this._deleteHistoryFiles();
+          this._scheduleSave();
+        }));
+
+    // Load the history from the previous session.
+    this._loadHistory();
+
+    this._clipboardConnection =
+        global.display.get_selection().connect('owner-changed', (s, type, owner) => {
           // If there is no owner anymore, this will be called as well.
           if (owner == null) {
             return;
           }
 
           // Ignore changes we induced ourselves.
-          if (this._ignoreNextOwnerChange) {
-            this._ignoreNextOwnerChange = false;
+          if (this._ignoredSelections.has(type)) {
+            this._ignoredSelections.delete(type);
             return;
           }
 
-          // The data from the new owner is requested in one of these formats, attempted
-          // top to bttom.
-          const knownMimeTypes = [
-            'x-special/gnome-copied-files',
-            'image/svg+xml',
-            'image/png',
-            'text/plain;charset=utf-8',
-            'text/plain',
-          ];
-
-          // Find a matching mime type.
-          let mimeType = '';
-          for (let i = 0; i < knownMimeTypes.length; i++) {
-            if (owner.get_mimetypes().includes(knownMimeTypes[i])) {
-              mimeType = knownMimeTypes[i];
-              break;
-            }
+          // We are only interested in the ordinary clipboard and, if enabled, in the
+          // primary selection.
+          let selection = null;
+          if (type == Meta.SelectionType.SELECTION_CLIPBOARD) {
+            selection = 'clipboard';
+          } else if (
+              type == Meta.SelectionType.SELECTION_PRIMARY &&
+              this._settings.get_boolean('clipboard-track-primary')) {
+            selection = 'primary';
+          } else {
+            return;
+          }
+
+          // Ignore copies from excluded applications like password managers.
+          if (this._isExcluded(owner)) {
+            return;
           }
 
+          // Find all formats in which the owner can provide the data.
+          const mimeTypes = this._getKnownMimeTypes(owner.get_mimetypes());
+
           // We ignore things we do not know.
-          if (mimeType == '') {
+          if (mimeTypes.length == 0) {
             return;
           }
 
-          // A chunk of memory where we will write the clipboard data to.
-          const output = Gio.MemoryOutputStream.new_resizable();
-
-          // Attempt to transfer the data in the selected format.
-          global.display.get_selection().transfer_async(
-              type, mimeType, MAX_DATA_SIZE_MB * 1024 * 1024, output, null,
-              (o, result) => {
-                // Finish the transfer.
-                if (!global.display.get_selection().transfer_finish(result)) {
-                  utils.debug('Failed to create clipboard item: Data transfer failed!');
-                  return;
-                }
-
-                // Close the stream.
-                output.close(null);
-
-                // Log an error if the data was apparently larger than we expected.
-                if (output.get_data_size() >= MAX_DATA_SIZE_MB * 1024 * 1024) {
-                  utils.debug(
-                      'Failed to create clipboard item: The clipboard data is too large!');
-                  return;
-                }
-
-                // Log an error if the data was not transferred successfully.
-                if (output.get_data_size() == 0) {
-                  utils.debug('Failed to create clipboard item: Got no clipboard data!');
-                  return;
-                }
-
-                // Create a new item.
-                const newItem = {
-                  type: mimeType,
-                  data: output.steal_as_bytes(),
-                };
-
-                // Check whether we have the same item already. If so, we remove it so we
-                // do not have duplicated entries..
-                for (let i = 0; i < this._items.length; i++) {
-                  const item = this._items[i];
-                  if (newItem.mimeType == item.mimeType &&
-                      item.data.equal(newItem.data)) {
-
-                    this._items.splice(i, 1);
-
-                    // There can be at most one duplicated entry.
-                    break;
-                  }
-                }
-
-                // Add the new item to the list of items.
-                const length = this._items.unshift(newItem);
-
-                // Pop the last entry if we have stored more than MAX_ENTRIES of items.
-                if (length > MAX_ENTRIES) {
-                  this._items.pop();
-                }
-              });
+          // Now request the data in all of these formats.
+          this._transferFormats(type, mimeTypes, (formats) => {
+            // Log an error if we got no data at all.
+            if (formats.length == 0) {
+              utils.debug('Failed to create clipboard item: Got no clipboard data!');
+              return;
+            }
+
+            // Create a new item. The first format is the richest one; it is used for
+            // the preview in the Clipboard menu.
+            const newItem = {
+              type: formats[0].type,
+              data: formats[0].data,
+              formats: formats,
+              selection: selection,
+              time: GLib.get_real_time(),
+              pinned: false,
+            };
+
+            // Check whether we have the same item already. If so, we remove it so we do
+            // not have duplicated entries..
+            for (let i = 0; i < this._items.length; i++) {
+              const item = this._items[i];
+              if (newItem.selection == item.selection && newItem.type == item.type &&
+                  item.data.equal(newItem.data)) {
+
+                this._items.splice(i, 1);
+
+                // If the same thing is copied again, it stays pinned.
+                newItem.pinned = item.pinned;
+
+                // There can be at most one duplicated entry.
+                break;
+              }
+            }
+
+            // Add the new item to the list of items and remove old items if we
+            // exceed any of the configured limits.
+            this._items.unshift(newItem);
+            this._pruneItems();
+            this._scheduleSave();
+          });
         });
   }
 
@@ -195,35 +302,621 @@ var ClipboardManager = class ClipboardManager {
   // This should not be called directly. Use the static singleton interface above!
   destroy() {
     global.display.get_selection().disconnect(this._clipboardConnection);
+
+    this._settingsConnections.forEach(connection => {
+      this._settings.disconnect(connection);
+    });
+
+    // Write any pending changes to disc. This has to be done synchronously, as nothing
+    // of this instance should be used once the extension is disabled.
+    if (this._saveTimeout != null) {
+      GLib.source_remove(this._saveTimeout);
+      this._saveTimeout = null;
+      this._saveHistory(true);
+    }
   }
 
   // -------------------------------------------------------------------- public interface
 
   // Returns a list of recently copied items. You can use the pasteItem() method below to
-  // paste the item from the clipboard. Each item contains a "type" (string) and a "data"
-  // (ByteArray) property. The first item is the one copied most recently.
+  // paste the item from the clipboard. Each item contains a "formats" property which is
+  // a list of objects with a "type" (string) and a "data" (ByteArray) property, ordered
+  // from rich to simple formats. For convenience, the "type" and "data" of the richest
+  // format are also stored directly in the item. Furthermore, each item contains a
+  // "selection" (either 'clipboard' or 'primary'), a "time" (number), and a "pinned"
+  // (boolean) property. The first item is the one copied most recently.
   getItems() {
+
+    // Items may have become too old since the last change.
+    this._pruneItems();
+
     return this._items;
   }
 
-  // This method pastes the data of an item returned by the getItems() method above.
-  pasteItem(item) {
+  // Pins or unpins an item returned by the getItems() method above. Pinned items are not
+  // removed from the history when any of the retention limits is exceeded.
+  setPinned(item, pinned) {
+    item.pinned = pinned;
+    this._pruneItems();
+    this._scheduleSave();
+  }
+
+  // Removes all items from the history. If the history is stored on disc, the
+  // corresponding files are deleted as well. This also removes pinned items.
+  clearHistory() {
+    this._items = [];
 
-    // Make sure that the clipboard owner change does not modify our list of copied items.
-    this.ignoreNextOwnerChange();
+    if (this._saveTimeout != null) {
+      GLib.source_remove(this._saveTimeout);
+      this._saveTimeout = null;
+    }
 
-    // Provide the data on the clipboard.
-    global.display.get_selection().set_owner(
-        Meta.SelectionType.SELECTION_CLIPBOARD,
-        Meta.SelectionSourceMemory.new(item.type, item.data));
+    this._deleteHistoryFiles();
+  }
 
-    // Finally, simulate Ctrl+V.
-    this._input.activateAccelerator('<Primary>v');
+  // This method pastes the data of an item returned by the getItems() method above. The
+  // data is provided in all stored formats so that the receiver can choose the richest
+  // format it understands. Items of the primary selection are put on the primary
+  // selection and pasted with a middle click. The strategy can be one of these:
+  //   'ctrl-v':       The data is put on the clipboard and Ctrl+V is simulated.
+  //   'ctrl-shift-v': The data is put on the clipboard and Ctrl+Shift+V is simulated.
+  //   'shift-insert': The data is put on the clipboard and Shift+Insert is simulated.
+  //   'type':         The text is typed with a virtual keyboard. Things which are not
+  //                   text are pasted with Ctrl+V instead.
+  //   'copy':         The data is only put on the clipboard.
+  //   'default':      The strategy configured for the focused application is used. If
+  //                   there is none, the globally configured strategy is used.
+  // If configured in the settings, the previous clipboard contents are restored after
+  // pasting.
+  pasteItem(item, strategy = 'default') {
+    const type = item.selection == 'primary' ? Meta.SelectionType.SELECTION_PRIMARY :
+                                               Meta.SelectionType.SELECTION_CLIPBOARD;
+    this._paste(type, item.formats, strategy);
+  }
+
+  // Pastes the given text. See pasteItem() for a description of the strategy parameter.
+  // The optional onPasted callback is called once the paste has been simulated. It is
+  // not called if the text is only copied.
+  pasteText(text, strategy = 'default', onPasted = null) {
+    const data = new GLib.Bytes(ByteArray.fromString(text));
+    this._paste(
+        Meta.SelectionType.SELECTION_CLIPBOARD,
+        [
+          {type: 'text/plain;charset=utf-8', data: data}, {type: 'text/plain', data: data}
+        ],
+        strategy, onPasted);
   }
 
   // If we mess with the clipboard from within Fly-Pie, we can use this to prevent the
-  // next owner change from creating an item.
-  ignoreNextOwnerChange() {
-    this._ignoreNextOwnerChange = true;
+  // next owner change from creating an item. By default, this affects the ordinary
+  // clipboard, but any Meta.SelectionType can be given.
+  ignoreNextOwnerChange(type = Meta.SelectionType.SELECTION_CLIPBOARD) {
+    this._ignoredSelections.add(type);
+  }
+
+  // ----------------------------------------------------------------------- private stuff
+
+  // Returns all mime types of the given list which we can store. Of each group in
+  // MIME_TYPE_GROUPS, only the first one contained in the given list is returned.
+  _getKnownMimeTypes(mimeTypes) {
+    const result = [];
+    MIME_TYPE_GROUPS.forEach(group => {
+      const mimeType = group.find(type => mimeTypes.includes(type));
+      if (mimeType) {
+        result.push(mimeType);
+      }
+    });
+
+    return result;
+  }
+
+  // Returns the paste strategy which should be used. If the given strategy is 'default',
+  // the overrides are searched for the class of the focused window. If there is no
+  // override, the global paste strategy is returned.
+  _resolvePasteStrategy(strategy) {
+    if (strategy != 'default') {
+      return strategy;
+    }
+
+    const window = global.display.focus_window;
+    if (window) {
+      const classes = [
+        window.get_wm_class(), window.get_wm_class_instance()
+      ].filter(c => c).map(c => c.toLowerCase());
+
+      const overrides = this._settings.get_string('paste-strategy-overrides').split(',');
+      for (let i = 0; i < overrides.length; i++) {
+        const [windowClass, override] = overrides[i].split(':').map(s => s.trim());
+        if (override && classes.includes(windowClass.toLowerCase())) {
+          return override;
+        }
+      }
+    }
+
+    return this._settings.get_string('paste-strategy');
+  }
+
+  // Puts the given formats on the given selection and pastes them with the given
+  // strategy. If configured, the previous contents of the selection are restored after
+  // pasting. The optional onPasted callback is called once the paste has been simulated.
+  _paste(type, formats, strategy, onPasted = null) {
+    strategy = this._resolvePasteStrategy(strategy);
+
+    // Typing the text directly does not involve the clipboard at all. Things which are
+    // not text cannot be typed, so we paste them with Ctrl+V instead.
+    if (strategy == 'type') {
+      const text = formats.find(format => format.type.startsWith('text/plain'));
+      if (text) {
+        this._input.typeText(ByteArray.toString(ByteArray.fromGBytes(text.data)));
+
+        if (onPasted) {
+          onPasted();
+        }
+
+        return;
+      }
+
+      strategy = 'ctrl-v';
+    }
+
+    // Unknown strategies are treated like Ctrl+V.
+    if (strategy != 'copy' && !PASTE_ACCELERATORS[strategy]) {
+      utils.debug(`Unknown paste strategy "${strategy}", using Ctrl+V instead.`);
+      strategy = 'ctrl-v';
+    }
+
+    // This provides the data on the selection and simulates the paste.
+    const paste = () => {
+      // Make sure that the owner change does not modify our list of copied items.
+      this.ignoreNextOwnerChange(type);
+      global.display.get_selection().set_owner(type, new MultiFormatSource(formats));
+
+      // Finally, simulate a middle click for the primary selection or the configured
+      // accelerator for the clipboard.
+      if (strategy == 'copy') {
+        return;
+      } else if (type == Meta.SelectionType.SELECTION_PRIMARY) {
+        this._input.clickButton(Clutter.BUTTON_MIDDLE);
+      } else {
+        this._input.activateAccelerator(PASTE_ACCELERATORS[strategy]);
+      }
+
+      if (onPasted) {
+        onPasted();
+      }
+    };
+
+    if (strategy == 'copy' || !this._settings.get_boolean('paste-restore-clipboard')) {
+      paste();
+      return;
+    }
+
+    // If the previous contents should be restored, we have to retrieve them first.
+    const mimeTypes =
+        this._getKnownMimeTypes(global.display.get_selection().get_mimetypes(type));
+
+    this._transferFormats(type, mimeTypes, (previousFormats) => {
+      paste();
+
+      if (previousFormats.length > 0) {
+        GLib.timeout_add(GLib.PRIORITY_DEFAULT, RESTORE_DELAY, () => {
+          this.ignoreNextOwnerChange(type);
+          global.display.get_selection().set_owner(
+              type, new MultiFormatSource(previousFormats));
+          return GLib.SOURCE_REMOVE;
+        });
+      }
+    });
+  }
+
+  // Requests the data of the current owner of the given selection in all of the given
+  // formats, one after another. Once all transfers are finished, the callback is called
+  // with a list of objects with a "type" and a "data" property. Formats which could not
+  // be transferred are missing in this list.
+  _transferFormats(selectionType, mimeTypes, callback, formats = []) {
+    if (mimeTypes.length == 0) {
+      callback(formats);
+      return;
+    }
+
+    const [mimeType, ...remainingMimeTypes] = mimeTypes;
+
+    // A chunk of memory where we will write the clipboard data to.
+    const output = Gio.MemoryOutputStream.new_resizable();
+
+    // Attempt to transfer the data in the selected format.
+    global.display.get_selection().transfer_async(
+        selectionType, mimeType, MAX_DATA_SIZE_MB * 1024 * 1024, output, null,
+        (o, result) => {
+          // Finish the transfer. Log an error if the data was apparently larger than we
+          // expected or if the data was not transferred successfully.
+          try {
+            if (!global.display.get_selection().transfer_finish(result)) {
+              throw 'Data transfer failed!';
+            }
+
+            output.close(null);
+
+            if (output.get_data_size() >= MAX_DATA_SIZE_MB * 1024 * 1024) {
+              throw 'The clipboard data is too large!';
+            }
+
+            if (output.get_data_size() > 0) {
+              formats.push({type: mimeType, data: output.steal_as_bytes()});
+            }
+
+          } catch (error) {
+            utils.debug(`Failed to transfer clipboard data as "${mimeType}": ${error}`);
+          }
+
+          // Continue with the next format.
+          this._transferFormats(selectionType, remainingMimeTypes, callback, formats);
+        });
+  }
+
+  // Returns true if the clipboard contents of the given owner should not be stored. This
+  // is the case if the owner marks its data as password or if the owning application
+  // is in the list of excluded applications.
+  _isExcluded(owner) {
+    if (owner.get_mimetypes().includes(PASSWORD_MANAGER_HINT)) {
+      return true;
+    }
+
+    const excluded = this._settings.get_string('clipboard-excluded-apps')
+                         .split(',')
+                         .map(id => id.trim().toLowerCase())
+                         .filter(id => id != '');
+
+    if (excluded.length == 0) {
+      return false;
+    }
+
+    return this._getOwnerIDs().some(id => id && excluded.includes(id.toLowerCase()));
+  }
+
+  // Mutter does not tell which client owns a selection source. However, Wayland clients
+  // can only take ownership of a selection while they have keyboard focus, so the owner
+  // is the client of the focused window. As this may be a dialog whose WM_CLASS differs
+  // from the one of the main window, we also consider all windows it is transient for.
+  // For each window, the application is looked up via the window tracker and via the
+  // process ID of the window. This returns the app IDs (with and without the .desktop
+  // suffix) and the WM_CLASS of all these windows.
+  _getOwnerIDs() {
+    const tracker = Shell.WindowTracker.get_default();
+    const ids     = [];
+
+    for (let window = global.display.focus_window; window;
+         window     = window.get_transient_for()) {
+      ids.push(window.get_wm_class(), window.get_wm_class_instance());
+
+      const apps = [tracker.get_window_app(window)];
+
+      if (window.get_pid() > 0) {
+        apps.push(tracker.get_app_from_pid(window.get_pid()));
+      }
+
+      apps.filter(app => app != null).forEach(app => {
+        ids.push(app.get_id(), app.get_id().replace(/\.desktop$/, ''));
+      });
+    }
+
+    return ids;
+  }
+
+  // Removes all items which exceed one of the configured limits. These are the maximum
+  // number of items, the maximum age in days, and the maximum total size in megabytes.
+  // Zero disables the age limit. Pinned items are never removed and do not count towards
+  // these limits. The limits apply to the histories of both selections separately.
+  _pruneItems() {
+    const maxEntries = this._settings.get_int('clipboard-max-entries');
+    const maxAge     = this._settings.get_int('clipboard-max-age');
+    const maxSize    = this._settings.get_int('clipboard-max-size') * 1024 * 1024;
+    const minTime    = GLib.get_real_time() - maxAge * 24 * 60 * 60 * 1000000;
+
+    // The newest items are kept until one of the limits is reached.
+    const totalCount = {clipboard: 0, primary: 0};
+    const totalSize  = {clipboard: 0, primary: 0};
+
+    this._items = this._items.filter(item => {
+      if (item.pinned) {
+        return true;
+      }
+
+      totalCount[item.selection] += 1;
+      totalSize[item.selection] +=
+          item.formats.reduce((size, format) => size + format.data.get_size(), 0);
+
+      return totalCount[item.selection] <= maxEntries &&
+          totalSize[item.selection] <= maxSize && (maxAge == 0 || item.time >= minTime);
+    });
+  }
+
+  // Saves the history shortly after the last change. Each change restarts the timeout,
+  // so we do not serialize and write the file over and over again if many things are
+  // copied in a short time.
+  _scheduleSave() {
+    if (this._settings.get_string('clipboard-persistence') == 'none') {
+      return;
+    }
+
+    if (this._saveTimeout != null) {
+      GLib.source_remove(this._saveTimeout);
+    }
+
+    this._saveTimeout = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, 2, () => {
+      this._saveTimeout = null;
+      this._saveHistory();
+      return GLib.SOURCE_REMOVE;
+    });
+  }
+
+  // Writes the history to disc, either as plain JSON file or encrypted. The data of the
+  // items is stored base64 encoded. If sync is set, this blocks until the history has
+  // been written. In encrypted mode, this is only possible if the key has been retrieved
+  // from the keyring before.
+  _saveHistory(sync = false) {
+    const mode = this._settings.get_string('clipboard-persistence');
+    if (mode == 'none') {
+      return;
+    }
+
+    const json = JSON.stringify(this._items.map(item => {
+      return {
+        selection: item.selection,
+        time: item.time,
+        pinned: item.pinned,
+        formats: item.formats.map(format => {
+          return {
+            type: format.type,
+            data: GLib.base64_encode(ByteArray.fromGBytes(format.data))
+          };
+        })
+      };
+    }));
+
+    GLib.mkdir_with_parents(HISTORY_DIRECTORY, 0o700);
+
+    if (mode == 'plain') {
+      const file  = Gio.File.new_for_path(HISTORY_FILES.plain);
+      const bytes = ByteArray.fromString(json);
+      const flags = Gio.FileCreateFlags.PRIVATE | Gio.FileCreateFlags.REPLACE_DESTINATION;
+
+      if (sync) {
+        try {
+          file.replace_contents(bytes, null, false, flags, null);
+        } catch (error) {
+          utils.debug('Failed to save clipboard history: ' + error);
+        }
+        return;
+      }
+
+      file.replace_contents_bytes_async(
+          bytes, null, false, flags, null, (file, result) => {
+            try {
+              file.replace_contents_finish(result);
+            } catch (error) {
+              utils.debug('Failed to save clipboard history: ' + error);
+            }
+          });
+
+    } else if (mode == 'encrypted') {
+      if (!this._checkOpenSSL()) {
+        return;
+      }
+
+      const args = ['-out', HISTORY_FILES.encrypted];
+
+      if (sync) {
+        if (this._encryptionKey) {
+          this._runOpenSSL(this._encryptionKey, args, json, () => {}, true);
+        } else {
+          utils.debug('Failed to save clipboard history: The key is not available!');
+        }
+        return;
+      }
+
+      this._getEncryptionKey(true, (key) => {
+        if (key) {
+          this._runOpenSSL(key, args, json, () => {});
+        }
+      });
+    }
+  }
+
+  // Reads the history of the previous session from disc. The loaded items are appended
+  // to any items which have been copied in the meantime.
+  _loadHistory() {
+    const mode = this._settings.get_string('clipboard-persistence');
+
+    // This is called with the JSON content of the history file.
+    const parseHistory = (json) => {
+      try {
+        const items = JSON.parse(json).map(item => {
+          // Older history files stored only a single format per item.
+          const stored = item.formats || [{type: item.type, data: item.data}];
+
+          const formats = stored.map(format => {
+            return {
+              type: format.type,
+              data: new GLib.Bytes(GLib.base64_decode(format.data))
+            };
+          });
+
+          return {
+            type: formats[0].type,
+            data: formats[0].data,
+            formats: formats,
+            selection: item.selection || 'clipboard',
+            time: item.time,
+            pinned: item.pinned || false
+          };
+        });
+
+        this._items = this._items.concat(items);
+        this._pruneItems();
+      } catch (error) {
+        utils.debug('Failed to parse clipboard history: ' + error);
+      }
+    };
+
+    if (mode == 'plain') {
+      const file = Gio.File.new_for_path(HISTORY_FILES.plain);
+      if (file.query_exists(null)) {
+        file.load_contents_async(null, (file, result) => {
+          try {
+            const [ok, contents] = file.load_contents_finish(result);
+            parseHistory(ByteArray.toString(contents));
+          } catch (error) {
+            utils.debug('Failed to load clipboard history: ' + error);
+          }
+        });
+      }
+
+    } else if (mode == 'encrypted') {
+      if (GLib.file_test(HISTORY_FILES.encrypted, GLib.FileTest.EXISTS) &&
+          this._checkOpenSSL()) {
+        this._getEncryptionKey(false, (key) => {
+          if (key) {
+            this._runOpenSSL(
+                key, ['-d', '-in', HISTORY_FILES.encrypted], null, parseHistory);
+          }
+        });
+      }
+    }
+  }
+
+  // Removes the history files of all persistence modes.
+  _deleteHistoryFiles() {
+    Object.values(HISTORY_FILES).forEach(path => {
+      const file = Gio.File.new_for_path(path);
+      try {
+        file.delete(null);
+      } catch (error) {
+        // The file does not exist, that's fine.
+      }
+    });
+  }
+
+  // Returns true if openssl is installed. Else the encrypted history can neither be read
+  // nor written. In this case, the user is notified once.
+  _checkOpenSSL() {
+    if (GLib.find_program_in_path('openssl')) {
+      return true;
+    }
+
+    utils.debug('Cannot encrypt the clipboard history: openssl is not installed!');
+
+    if (!this._openSSLWarningShown) {
+      this._openSSLWarningShown = true;
+      utils.notify(
+          _('Failed to store the clipboard history'),
+          _('Storing the clipboard history encrypted requires openssl. Please install it or choose a different storage mode in the settings of Fly-Pie.'));
+    }
+
+    return false;
+  }
+
+  // Retrieves the key for the encrypted history from the user's keyring. If there is no
+  // key yet and 'create' is set, a new random key is generated and stored. The key (or
+  // null if something went wrong) is passed to the given callback. Once retrieved, the
+  // key is kept in memory.
+  _getEncryptionKey(create, callback) {
+    if (this._encryptionKey) {
+      callback(this._encryptionKey);
+      return;
+    }
+
+    if (!Secret) {
+      utils.debug('Cannot encrypt the clipboard history: libsecret is not installed!');
+      callback(null);
+      return;
+    }
+
+    Secret.password_lookup(SECRET_SCHEMA, SECRET_ATTRIBUTES, null, (o, result) => {
+      let key = null;
+      try {
+        key = Secret.password_lookup_finish(result);
+      } catch (error) {
+        utils.debug('Failed to retrieve the clipboard history key: ' + error);
+        callback(null);
+        return;
+      }
+
+      if (key || !create) {
+        this._encryptionKey = key;
+        callback(key);
+        return;
+      }
+
+      // Create a new key from 32 random bytes.
+      try {
+        const stream = Gio.File.new_for_path('/dev/urandom').read(null);
+        key = GLib.base64_encode(ByteArray.fromGBytes(stream.read_bytes(32, null)));
+        stream.close(null);
+      } catch (error) {
+        utils.debug('Failed to create the clipboard history key: ' + error);
+        callback(null);
+        return;
+      }
+
+      Secret.password_store(
+          SECRET_SCHEMA, SECRET_ATTRIBUTES, Secret.COLLECTION_DEFAULT,
+          'Fly-Pie Clipboard History', key, null, (o, result) => {
+            try {
+              Secret.password_store_finish(result);
+              this._encryptionKey = key;
+              callback(key);
+            } catch (error) {
+              utils.debug('Failed to store the clipboard history key: ' + error);
+              callback(null);
+            }
+          });
+    });
+  }
+
+  // Runs openssl to encrypt or decrypt the history with the given key. The key is passed
+  // via an environment variable so that it does not show up in the process list. The
+  // given input is written to the standard input of openssl, the standard output is
+  // passed to the given callback on success. If sync is set, this blocks until openssl
+  // has finished.
+  _runOpenSSL(key, args, input, callback, sync = false) {
+    try {
+      const launcher = new Gio.SubprocessLauncher({
+        flags: Gio.SubprocessFlags.STDIN_PIPE | Gio.SubprocessFlags.STDOUT_PIPE |
+            Gio.SubprocessFlags.STDERR_PIPE
+      });
+      launcher.setenv('FLYPIE_CLIPBOARD_KEY', key, true);
+
+      const proc = launcher.spawnv([
+        'openssl', 'enc', '-aes-256-cbc', '-pbkdf2', '-salt', '-pass',
+        'env:FLYPIE_CLIPBOARD_KEY', ...args
+      ]);
+
+      // This is called once openssl has finished.
+      const onFinished = (stdout, stderr) => {
+        if (proc.get_successful()) {
+          callback(stdout);
+        } else {
+          utils.debug('Failed to encrypt or decrypt clipboard history: ' + stderr);
+        }
+      };
+
+      if (sync) {
+        const [, stdout, stderr] = proc.communicate_utf8(input, null);
+        onFinished(stdout, stderr);
+        return;
+      }
+
+      proc.communicate_utf8_async(input, null, (proc, result) => {
+        try {
+          const [, stdout, stderr] = proc.communicate_utf8_finish(result);
+          onFinished(stdout, stderr);
+        } catch (error) {
+          utils.debug('Failed to encrypt or decrypt clipboard history: ' + error);
+        }
+      });
+    } catch (error) {
+      utils.debug('Failed to run openssl: ' + error);
+    }
   }
 }
@@ -25,6 +25,9 @@ const MouseHighlight   = Me.imports.src.extension.MouseHighlight.MouseHighlight;
 const Menu             = Me.imports.src.extension.Menu.Menu;
 const DefaultMenu      = Me.imports.src.extension.DefaultMenu.DefaultMenu;
 const ClipboardManager = Me.imports.src.extension.ClipboardManager.ClipboardManager;
+const Snippets         = Me.imports.src.common.menus.Snippets;
+const MainMenu         = Me.imports.src.common.menus.MainMenu;
+const Macro            = Me.imports.src.common.actions.Macro;
 
 //////////////////////////////////////////////////////////////////////////////////////////
 // The daemon listens on the D-Bus for show-menu requests and registers a global        //
@@ -78,9 +81,9 @@ var Daemon = class Daemon {
         // of our D-Bus interface.
         (menuID, itemID) => this._onUnhover(menuID, itemID),
 
-        // Called when the user selects an item in the menu. This calls the OnSelect
-        // signal of the DBusInterface.
-        (menuID, itemID) => this._onSelect(menuID, itemID),
+        // Called when the user selects an item in the menu. This calls the OnSelect and
+        // the OnSelectEx signals of the DBusInterface.
+        (menuID, itemID, details) => this._onSelect(menuID, itemID, details),
 
         // Called when the user does no select anything in the menu. This calls the
         // OnCancel signal of the DBusInterface.
@@ -89,6 +92,18 @@ var Daemon = class Daemon {
     // This is increased once for every menu request.
     this._lastMenuID = 0;
 
+    // DBusSignal steps of macros are not emitted by the menu. Instead, they emit the
+    // OnSelect and OnSelectEx signals via this callback. As the steps may be delayed, the
+    // ID of the most recently requested menu is reported.
+    Macro.setSignalCallback((id, data) => {
+      this._onSelect(this._lastMenuID, id, {
+        path: '',
+        name: '',
+        data: typeof data === 'string' ? {id: data} : data,
+        modifiers: 0
+      });
+    });
+
     // This class manages the global shortcuts. Once one of the registered shortcuts is
     // pressed, the corresponding menu is shown via the ShowMenu() method. If an error
     // occurred, a notification is shown.
@@ -104,29 +119,50 @@ var Daemon = class Daemon {
       }
     };
 
-    // Open a menu when the corresponding shortcut is pressed.
-    this._shortcuts.connect('activated', (s, shortcut) => {
-      for (let i = 0; i < this._menuConfigs.length; i++) {
-        if (shortcut == this._menuConfigs[i].shortcut) {
-          showMenu(this._menuConfigs[i].name);
-          break;
-        }
+    // Opens the first of the given menus whose command condition is fulfilled. The
+    // commands are executed asynchronously one after another, so no command is executed
+    // if a preceding menu has been opened already.
+    const showFirstMenu = (configs) => {
+      if (configs.length == 0) {
+        return;
       }
+
+      utils.checkCommandCondition(configs[0].conditions).then((fulfilled) => {
+        if (fulfilled) {
+          showMenu(configs[0].name);
+        } else {
+          showFirstMenu(configs.slice(1));
+        }
+      });
+    };
+
+    // Open a menu when the corresponding shortcut is pressed. Several menus may be bound
+    // to the same shortcut; the first one whose conditions are fulfilled is opened. This
+    // way, a shortcut can open different menus depending on the focused application.
+    this._shortcuts.connect('activated', (s, shortcut) => {
+      utils.clearConditionCache();
+      showFirstMenu(this._menuConfigs.filter(
+          (config) =>
+              shortcut == config.shortcut && utils.checkConditions(config.conditions)));
     });
 
     // Open a menu when the Super+RMB combination is pressed and a menu is configured to
-    // listen to it.
+    // listen to it. Like above, the menu's conditions have to be fulfilled. As we have to
+    // decide right away whether the event should propagate, the event is consumed if any
+    // menu fulfills all but the command conditions.
     this._shortcuts.connect('super-rmb', () => {
       // Do not attempt to open a new menu if one is already opened.
       if (this._menu.getID() == null) {
-        for (let i = 0; i < this._menuConfigs.length; i++) {
-          if (this._menuConfigs[i].superRMB) {
-            showMenu(this._menuConfigs[i].name);
+        const configs = this._menuConfigs.filter(
+            (config) => config.superRMB && utils.checkConditions(config.conditions));
 
-            // We have a menu bound to Super+RMB, so we have to prevent the normal
-            // behavior.
-            return true;
-          }
+        if (configs.length > 0) {
+          utils.clearConditionCache();
+          showFirstMenu(configs);
+
+          // We have a menu bound to Super+RMB, so we have to prevent the normal
+          // behavior.
+          return true;
         }
       }
 
@@ -254,6 +290,13 @@ var Daemon = class Daemon {
     // Delete the clipboard manager singleton. This is used by the clipboard menu.
     ClipboardManager.destroyInstance();
 
+    // Stop watching the snippet directories and the application menu files.
+    Snippets.clearCache();
+    MainMenu.clearCache();
+
+    // Macros cannot emit D-Bus signals anymore.
+    Macro.setSignalCallback(null);
+
     // Delete the touch buttons.
     this._touchButtons.destroy();
 
@@ -365,6 +408,175 @@ var Daemon = class Daemon {
     return this._menu.selectItem(path);
   }
 
+  // This removes all items from the clipboard history. If the history is stored on
+  // disc, the corresponding files are deleted as well.
+  // See the README.md for a description of Fly-Pie's DBusInterface.
+  ClearClipboardHistory() {
+    ClipboardManager.getInstance().clearHistory();
+    return 0;
+  }
+
+  // This returns a list containing the name, the ID and the shortcut of each menu
+  // configured with Fly-Pie's menu editor.
+  // See the README.md for a description of Fly-Pie's DBusInterface.
+  ListMenus() {
+    try {
+      return this._loadMenuConfigs().map(config => {
+        const id = config.id != undefined ? config.id : -1;
+        return [config.name || '', id, config.shortcut || ''];
+      });
+    } catch (error) {
+      utils.debug('Failed to list menus: ' + error);
+    }
+
+    return [];
+  }
+
+  // This returns the normalized configuration of the menu with the given name as JSON
+  // string. The second return value is zero on success or a negative error code on
+  // failure. If there are more than one menu with the same name, the first is returned.
+  // See the README.md for a description of Fly-Pie's DBusInterface.
+  GetMenuConfig(name) {
+    try {
+      const config = this._loadMenuConfigs().find(config => config.name == name);
+
+      if (config == undefined) {
+        return ['', DBusInterface.errorCodes.eNoSuchMenu];
+      }
+
+      ItemRegistry.normalizeConfig(config);
+
+      return [JSON.stringify(config), 0];
+
+    } catch (error) {
+      utils.debug('Failed to get menu configuration: ' + error);
+    }
+
+    return ['', DBusInterface.errorCodes.eUnknownError];
+  }
+
+  // This stores the given menu configuration under the given name. If there is already a
+  // menu with this name, it is replaced but keeps its ID. Else a new menu is appended.
+  // The configuration is validated before it is written to the settings. On success,
+  // the menu's ID is returned, else a negative error code.
+  // See the README.md for a description of Fly-Pie's DBusInterface.
+  SetMenuConfig(name, json) {
+    let config;
+    try {
+      config = JSON.parse(json);
+    } catch (error) {
+      utils.debug('Failed to parse menu configuration JSON: ' + error);
+      return DBusInterface.errorCodes.eInvalidJSON;
+    }
+
+    if (config == null || typeof config !== 'object' || Array.isArray(config)) {
+      utils.debug('Failed to parse menu configuration: Root element must be an object!');
+      return DBusInterface.errorCodes.eInvalidMenuConfiguration;
+    }
+
+    // The given name always takes precedence over a name stored in the JSON.
+    config.name = name;
+
+    // Make sure that the configuration is valid before we store it. normalizeConfig()
+    // modifies the configuration, so the diagnostics are computed for an unmodified copy.
+    const original = JSON.parse(JSON.stringify(config));
+    try {
+      ItemRegistry.normalizeConfig(config);
+    } catch (error) {
+      const diagnostics = ItemRegistry.validateConfig(original);
+      utils.debug(
+          'Failed to parse menu configuration: ' + error + '\n' +
+          ItemRegistry.formatDiagnostics(diagnostics));
+      return DBusInterface.errorCodes.eInvalidMenuConfiguration;
+    }
+
+    try {
+      const configs = this._loadMenuConfigs();
+      const index   = configs.findIndex(c => c.name == name);
+
+      // Existing menus keep their ID, new menus get the smallest unused ID.
+      if (index >= 0) {
+        config.id      = configs[index].id;
+        configs[index] = config;
+      } else {
+        config.id = 0;
+        while (configs.some(c => c.id == config.id)) {
+          ++config.id;
+        }
+        configs.push(config);
+      }
+
+      if (config.shortcut == undefined) {
+        config.shortcut = '';
+      }
+
+      this._settings.set_string('menu-configuration', JSON.stringify(configs));
+
+      return config.id;
+
+    } catch (error) {
+      utils.debug('Failed to store menu configuration: ' + error);
+    }
+
+    return DBusInterface.errorCodes.eUnknownError;
+  }
+
+  // This removes the menu with the given name from the menu configuration. If there are
+  // more than one menu with the same name, only the first is removed.
+  // See the README.md for a description of Fly-Pie's DBusInterface.
+  DeleteMenu(name) {
+    try {
+      const configs = this._loadMenuConfigs();
+      const index   = configs.findIndex(config => config.name == name);
+
+      if (index < 0) {
+        return DBusInterface.errorCodes.eNoSuchMenu;
+      }
+
+      configs.splice(index, 1);
+      this._settings.set_string('menu-configuration', JSON.stringify(configs));
+
+      return 0;
+
+    } catch (error) {
+      utils.debug('Failed to delete menu: ' + error);
+    }
+
+    return DBusInterface.errorCodes.eUnknownError;
+  }
+
+  // This checks the given menu description without opening the menu. The first return
+  // value is a JSON array of diagnostics as returned by ItemRegistry.validateConfig().
+  // Each of them contains the JSON path of the offending item, the broken rule and a
+  // suggestion. The second return value is zero if the menu can be opened or a negative
+  // error code otherwise. Warnings do not make the validation fail.
+  // See the README.md for a description of Fly-Pie's DBusInterface.
+  ValidateMenu(json) {
+    let config;
+    try {
+      config = JSON.parse(json);
+    } catch (error) {
+      const diagnostics = [{
+        path: '$',
+        severity: 'error',
+        rule: 'The menu description must be valid JSON.',
+        suggestion: error.message + '.'
+      }];
+
+      return [JSON.stringify(diagnostics), DBusInterface.errorCodes.eInvalidJSON];
+    }
+
+    const diagnostics = ItemRegistry.validateConfig(config);
+
+    if (ItemRegistry.hasErrors(diagnostics)) {
+      return [
+        JSON.stringify(diagnostics), DBusInterface.errorCodes.eInvalidMenuConfiguration
+      ];
+    }
+
+    return [JSON.stringify(diagnostics), 0];
+  }
+
   // ----------------------------------------------------------------------- private stuff
 
   // Opens a menu configured with Fly-Pie's menu editor, optionally in preview mode. The
@@ -404,18 +616,27 @@ var Daemon = class Daemon {
       }
     }
 
-    // Then normalize the menu configuration (e.g. add all default data).
+    // Then normalize the menu configuration (e.g. add all default data). If this fails,
+    // we log the detailed diagnostics of ItemRegistry.validateConfig(). As
+    // normalizeConfig() modifies the configuration, these are computed for an unmodified
+    // copy.
+    const original = JSON.parse(JSON.stringify(config));
     try {
       ItemRegistry.normalizeConfig(config);
     } catch (error) {
-      utils.debug('Failed to parse menu configuration: ' + error);
+      const diagnostics = ItemRegistry.validateConfig(original);
+      utils.debug(
+          'Failed to parse menu configuration: ' + error + '\n' +
+          ItemRegistry.formatDiagnostics(diagnostics));
       return DBusInterface.errorCodes.eInvalidMenuConfiguration;
     }
 
     // Then try to transform the menu configuration to a menu structure. See
     // ItemRegistry.js for details.
+    // The condition commands are executed again for each newly opened menu.
     let structure;
     try {
+      utils.clearConditionCache();
       structure = ItemRegistry.transformConfig(config);
     } catch (error) {
       utils.debug('Failed to transform menu configuration: ' + error);
@@ -448,10 +669,31 @@ var Daemon = class Daemon {
     this._dbus.emit_signal('OnUnhover', GLib.Variant.new('(is)', [menuID, itemID]));
   }
 
-  // This gets called once the user made a selection in the menu. It emit the OnSelect
-  // signal of our D-Bus interface.
-  _onSelect(menuID, itemID) {
+  // This gets called once the user made a selection in the menu. It emits the OnSelect
+  // and the OnSelectEx signals of our D-Bus interface. The details contain the path, the
+  // name and the data payload of the selected item as well as a bitmask of the modifier
+  // keys which were held down during the selection. The data is sent as JSON string,
+  // the modifiers as a list of key names.
+  _onSelect(menuID, itemID, details) {
     this._dbus.emit_signal('OnSelect', GLib.Variant.new('(is)', [menuID, itemID]));
+
+    const modifiers = [];
+    const names     = [
+      [Gdk.ModifierType.SHIFT_MASK, 'Shift'],
+      [Gdk.ModifierType.CONTROL_MASK, 'Control'],
+      [Gdk.ModifierType.MOD1_MASK, 'Alt'],
+      [Gdk.ModifierType.MOD4_MASK | Gdk.ModifierType.SUPER_MASK, 'Super'],
+    ];
+
+    names.forEach(([mask, name]) => {
+      if (details.modifiers & mask) {
+        modifiers.push(name);
+      }
+    });
+
+    this._dbus.emit_signal('OnSelectEx', GLib.Variant.new('(isssas)', [
+      menuID, itemID, details.path, details.name, JSON.stringify(details.data), modifiers
+    ]));
   }
 
   // This gets called when the user did not select anything in the menu. It emits the
@@ -519,6 +761,7 @@ var Daemon = class Daemon {
         if (this._menuConfigs[i].id == this._menu.getID()) {
           // Transform the configuration into a menu structure.
           ItemRegistry.normalizeConfig(this._menuConfigs[i]);
+          utils.clearConditionCache();
           const structure = ItemRegistry.transformConfig(this._menuConfigs[i]);
 
           // Once we transformed the menu configuration to a menu structure, we can update
@@ -540,6 +783,24 @@ var Daemon = class Daemon {
     }
   }
 
+  // This parses the menu configuration currently stored in the settings. In contrast to
+  // this._menuConfigs, this always contains the unmodified configuration as written by
+  // the menu editor. This throws an error if the stored configuration is invalid.
+  _loadMenuConfigs() {
+    let json = this._settings.get_string('menu-configuration');
+    if (json == '') {
+      json = '[]';
+    }
+
+    const configs = JSON.parse(json);
+
+    if (!Array.isArray(configs)) {
+      throw 'Root element must be an array!';
+    }
+
+    return configs;
+  }
+
   // This returns a new ID for a custom show-menu request. The last ID is increased by, if
   // the result collides with an ID of a menu configured with Fly-Pie's menu editor, it
   // is increased once more.
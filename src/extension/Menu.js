@@ -22,6 +22,21 @@ const MenuItem         = Me.imports.src.extension.MenuItem.MenuItem;
 const SelectionWedges  = Me.imports.src.extension.SelectionWedges.SelectionWedges;
 const MenuItemState    = Me.imports.src.extension.MenuItem.MenuItemState;
 
+const _ = imports.gettext.domain('flypie').gettext;
+
+// When the user types something while a menu is open, the best matching items of the
+// entire menu tree are shown in a temporary menu. This is the maximum number of items
+// of this temporary menu.
+const MAX_SEARCH_RESULTS = 8;
+
+// If none of the characters of an item's name can be used as accelerator because they
+// are already taken by sibling items, one of these characters will be used instead.
+const ACCELERATOR_FALLBACKS = [...'abcdefghijklmnopqrstuvwxyz0123456789'];
+
+// Menus whose children are created asynchronously show a placeholder item with this icon
+// until the children are available.
+const LOADING_ICON = 'content-loading-symbolic';
+
 //////////////////////////////////////////////////////////////////////////////////////////
 // The Menu parses the JSON structure given to the ShowMenu method. It creates          //
 // MenuItems accordingly. It keeps a list of currently selected MenuItems and, based on //
@@ -53,6 +68,16 @@ var Menu = class Menu {
     // shown.
     this._menuID = null;
 
+    // This holds the menu structure of the currently active menu. Once asynchronously
+    // created children become available, they are added to this structure and the menu
+    // is updated accordingly.
+    this._structure = null;
+
+    // This contains the MenuItems of all "Loading..." placeholders of the current menu.
+    // They cannot be selected and are replaced once the corresponding children become
+    // available.
+    this._placeholders = new Set();
+
     // If a display-timeout is configured, the menu is only shown when the pointer is
     // stationary for some time. Here we restart the timeout if it is currently pending.
     // This member stores the timeout ID.
@@ -62,6 +87,18 @@ var Menu = class Menu {
     // gesture is performed.
     this._draggedChild = null;
 
+    // When the user types something while a menu is open, the typed characters are
+    // collected in this string and shown in a search field. As long as it is not empty,
+    // the best matching items of the entire menu tree are shown as children of a
+    // temporary MenuItem (_searchRoot) instead of the actual menu. _searchResults
+    // contains a menu path for each of its children, leading to the corresponding
+    // original MenuItem. Once the search is finished, the _menuPath is restored from
+    // _searchOriginPath.
+    this._searchString     = '';
+    this._searchRoot       = null;
+    this._searchResults    = [];
+    this._searchOriginPath = null;
+
     // This is a list of active MenuItems. At the beginning it will contain the root
     // MenuItem only. Selected children deeper in the hierarchy are prepended to this
     // list. This means, the currently active menu node is always _menuPath[0].
@@ -134,10 +171,14 @@ var Menu = class Menu {
 
     // This is called further below in various cases. It is not only called on real button
     // release events but also on semantically similar events such as touch end events.
-    const emitSelection = (coords) => {
+    // The modifiers are the state of the event which caused the selection. They are
+    // passed to the selection callback of the selected item.
+    const emitSelection = (coords, modifiers = 0) => {
       // Forward button release events to the SelectionWedges.
       // This will potentially fire the OnSelect signal.
+      this._selectionModifiers = modifiers;
       this._selectionWedges.emitSelection(coords);
+      this._selectionModifiers = 0;
       // This is for the statistics only: As the mouse button was released, any further
       // (final) selections will not be gesture-only selections.
       this._gestureOnlySelection = false;
@@ -212,6 +253,11 @@ var Menu = class Menu {
         // cancelling.
         this._clickStartPos = this._pointerPos;
 
+        // Selections are only made once all modifier keys are released (see below). To
+        // allow modified mouse selections nevertheless, we store the modifiers which were
+        // held down when the button was pressed.
+        this._pressModifiers = event.get_state();
+
         // If the user touches / clicks on the screen, we start a long-press timer. This
         // is canceled if the pointer is moved to far or if the button / touch is released
         // again. On touch-based clicks, get_button() returns 0.
@@ -252,16 +298,21 @@ var Menu = class Menu {
             Gtk.accelerator_get_default_mod_mask() | Clutter.ModifierType.MOD4_MASK;
 
         if ((event.get_state() & turboModifiers) == 0) {
-          emitSelection(event.get_coords());
+          emitSelection(event.get_coords(), this._pressModifiers | event.get_state());
         }
         return Clutter.EVENT_STOP;
       }
 
-      // Hide the menu when the escape key is pressed.
+      // Hide the menu when the escape key is pressed. If a search is active, only the
+      // search is aborted. All other keys are used for keyboard navigation.
       if (event.type() == Clutter.EventType.KEY_PRESS) {
-        if (event.get_key_symbol() == Clutter.KEY_Escape && this._menuID != null) {
+        if (event.get_key_symbol() == Clutter.KEY_Escape && this._searchString != '') {
+          this._setSearchString('');
+        } else if (event.get_key_symbol() == Clutter.KEY_Escape && this._menuID != null) {
           this.cancel();
           this.close();
+        } else if (this._menuID != null) {
+          this._onKeyPress(event, emitSelection);
         }
         return Clutter.EVENT_STOP;
       }
@@ -329,6 +380,11 @@ var Menu = class Menu {
         this._root.destroy();
         this._root = null;
       }
+
+      if (this._background.opacity == 0 && this._searchRoot) {
+        this._searchRoot.destroy();
+        this._searchRoot = null;
+      }
     });
 
     // This is fired when the close button of the preview mode is clicked.
@@ -398,8 +454,9 @@ var Menu = class Menu {
         }
       }
 
-      // This recursively redraws all children based on their newly assigned state.
-      this._root.redraw();
+      // This recursively redraws all children based on their newly assigned state. During
+      // a search, the last element of the menu path is the temporary search root.
+      this._menuPath[this._menuPath.length - 1].redraw();
     });
 
     // This is fired when the primary mouse button is pressed inside a wedge. This will
@@ -408,11 +465,42 @@ var Menu = class Menu {
       const parent = this._menuPath[0];
       const child  = this._menuPath[0].getChildMenuItems()[index];
 
+      // During a search, the children are only stand-ins for the actual items. The
+      // corresponding original item is the first element of the stored menu path.
+      const original = this._searchString != '' ? this._searchResults[index][0] : child;
+
+      // Placeholders for children which are still loading cannot be selected.
+      if (this._placeholders.has(original)) {
+        return;
+      }
+
       // Ignore any gesture-based selection of leaf nodes. Final selections are only done
       // when the mouse button or a modifier button is released. An exception is the
       // experimental hover mode in which we also allow selections by gestures.
       const hoverMode = this._settings.get_boolean('hover-mode');
-      if (gesture && !hoverMode && child.getChildMenuItems().length == 0) {
+      if (gesture && !hoverMode && original.getChildMenuItems().length == 0) {
+        return;
+      }
+
+      // If a search result was selected, the search is finished and the original item
+      // becomes the active item of the actual menu. If it is activatable, we report a
+      // selection and hide the entire menu.
+      if (this._searchString != '') {
+        this._draggedChild = null;
+
+        const [clampedX, clampedY] =
+            this._clampToMonitor(x - this._background.x, y - this._background.y, 10);
+
+        if (x != clampedX || y != clampedY) {
+          this._input.warpPointer(
+              clampedX + this._background.x, clampedY + this._background.y);
+        }
+
+        this._endSearch(
+            this._searchResults[index], clampedX + this._background.x,
+            clampedY + this._background.y);
+        this._selectChild(original);
+
         return;
       }
 
@@ -421,6 +509,11 @@ var Menu = class Menu {
       // SelectionWedges), we abort any dragging operation.
       this._draggedChild = null;
 
+      // The children of the selected child will be shown as its children, their
+      // children as grandchildren. So they have to be loaded now if this did not happen
+      // yet.
+      this._loadLazyChildren(child);
+
       // Update the item states: The previously active item becomes the parent, the
       // selected child becomes the new hovered center item.
       parent.setState(MenuItemState.PARENT, index);
@@ -602,9 +695,17 @@ var Menu = class Menu {
       this._root.destroy();
     }
 
+    if (this._searchRoot) {
+      this._searchRoot.destroy();
+      this._searchRoot = null;
+    }
+
+    this._background.setSearchText('');
+
     // Ascertain several properties of the menu structure. This assigns IDs and angles to
     // each and every item.
-    const result = this._normalizeMenuStructure(structure);
+    this._structure = structure;
+    const result    = this._normalizeMenuStructure(structure);
     if (result < 0) {
       return result;
     }
@@ -618,48 +719,24 @@ var Menu = class Menu {
     // This is used for tracking click-events and long-press-events.
     this._clickStartPos = null;
 
+    // These store the modifiers of the last button press and of the event which is
+    // currently causing a selection.
+    this._pressModifiers     = 0;
+    this._selectionModifiers = 0;
+
     // This is only for the statistics. This will be set to true at the first drag motion
     // and to false as soon as the mouse button is released without selecting something.
     this._gestureOnlySelection = null;
     this._timer.reset();
 
-    // Create all visible Clutter.Actors for the items.
-    const createMenuItem = (item) => {
-      const menuItem = new MenuItem({
-        id: item.id,
-        name: item.name,
-        icon: item.icon,
-        angle: item.angle,
-      });
-
-      if (item.children) {
-        // Recursively continue for all children.
-        item.children.forEach((child) => {
-          menuItem.addMenuItem(createMenuItem(child));
-        });
-      } else {
-        // If there are no children, there may be a selection, a hover, or an unhover
-        // callback. We forward them to the item so that they can be called if required.
-        if (item.onSelect) {
-          menuItem.setSelectionCallback(item.onSelect);
-        }
-
-        if (item.onHover) {
-          menuItem.setHoverCallback(item.onHover);
-        }
-
-        if (item.onUnhover) {
-          menuItem.setUnhoverCallback(item.onUnhover);
-        }
-      }
-
-      return menuItem;
-    };
-
-    this._root = createMenuItem(structure);
+    // Create all visible Clutter.Actors for the items. Children which are provided
+    // lazily are only created for the root item and its direct children, as these are
+    // visible right away.
+    this._root = this._createMenuItem(structure);
     this._background.add_child(this._root);
 
     this._menuPath.push(this._root);
+    this._loadLazyChildren(this._root);
 
     this._root.setState(MenuItemState.CENTER_HOVERED, -1);
     this._root.onSettingsChange(this._settings);
@@ -726,6 +803,9 @@ var Menu = class Menu {
       return DBusInterface.errorCodes.eNoActiveMenu;
     }
 
+    // The path refers to the actual menu, so any active search is aborted.
+    this._setSearchString('');
+
     // The path should start with a '/'.
     if (path.length == 0 || path[0] != '/') {
       return DBusInterface.errorCodes.eInvalidPath;
@@ -750,8 +830,10 @@ var Menu = class Menu {
 
     for (let i = 0; i < items.length; i++) {
       const index = items[i];
-      if (index < newMenuPath[0].getChildMenuItems().length) {
-        newMenuPath.unshift(newMenuPath[0].getChildMenuItems()[index]);
+      this._loadLazyChildren(newMenuPath[0]);
+      const children = newMenuPath[0].getChildMenuItems();
+      if (index < children.length && !this._placeholders.has(children[index])) {
+        newMenuPath.unshift(children[index]);
       } else {
         return DBusInterface.errorCodes.eInvalidPath;
       }
@@ -773,6 +855,7 @@ var Menu = class Menu {
 
     // Store the new menu path.
     this._menuPath = newMenuPath;
+    this._loadLazyChildren(this._menuPath[0]);
 
     // And redraw everything.
     this._resetState(x, y);
@@ -802,6 +885,15 @@ var Menu = class Menu {
       this._longPressTimeout = -1;
     }
 
+    // Forget about any search. The search results will stay visible while the background
+    // fades out and will be destroyed together with the _root item.
+    this._searchString     = '';
+    this._searchResults    = [];
+    this._searchOriginPath = null;
+
+    // The placeholders will be destroyed together with the _root item as well.
+    this._placeholders.clear();
+
     // Fade out the background actor. Once this transition is completed, the _root item
     // will be destroyed by the background's "transitions-completed" signal handler.
     this._background.close();
@@ -812,6 +904,7 @@ var Menu = class Menu {
     // Reset some other members.
     this._draggedChild = null;
     this._menuPath     = [];
+    this._structure    = null;
   }
 
   // Emits the DBus-Cancel signal and potentially an unhover signal for the currently
@@ -845,8 +938,13 @@ var Menu = class Menu {
   // we don't know, so this guess will not be correct in all cases.
   // It will return 0 on success and an error code < 0 on failure.
   update(structure) {
+    // The search results refer to the old menu structure, so any active search is
+    // aborted.
+    this._setSearchString('');
+
     // First make sure that all properties of the given menu structure are set correctly.
-    const result = this._normalizeMenuStructure(structure);
+    this._structure = structure;
+    const result    = this._normalizeMenuStructure(structure);
     if (result < 0) {
       return result;
     }
@@ -855,17 +953,30 @@ var Menu = class Menu {
     // parameter is the corresponding MenuItem of the currently open menu. If no
     // corresponding item exists, this will be a newly created MenuItem.
     const updateMenuItem = (newConfig, item) => {
-      item.id    = newConfig.id;
-      item.name  = newConfig.name;
-      item.icon  = newConfig.icon;
-      item.angle = newConfig.angle;
+      item.id          = newConfig.id;
+      item.name        = newConfig.name;
+      item.icon        = newConfig.icon;
+      item.angle       = newConfig.angle;
+      item.accelerator = newConfig.accelerator;
       item.setSelectionCallback(newConfig.onSelect || null);
       item.setHoverCallback(newConfig.onHover || null);
       item.setUnhoverCallback(newConfig.onUnhover || null);
+      item.setData(newConfig.data != undefined ? newConfig.data : null);
+      this._registerPlaceholder(newConfig, item);
+
+      // If the children are provided lazily, all current children are removed below. The
+      // new ones will be loaded once they are required.
+      item.setChildrenProvider(this._getChildrenProvider(newConfig));
 
       const children = new Set(item.getChildMenuItems());
 
       if (newConfig.children) {
+        // The structure may have been passed to update() before, so we have to forget
+        // about any previously matching children.
+        newConfig.children.forEach((newChild) => {
+          delete newChild.matchingChild;
+        });
+
         // First, we iterate through all new children an try to find for each an old child
         // with the same name and icon. If one exists, this is used for the new child.
         newConfig.children.forEach((newChild) => {
@@ -902,6 +1013,7 @@ var Menu = class Menu {
               name: newChild.name,
               icon: newChild.icon,
               angle: newChild.angle,
+              accelerator: newChild.accelerator,
             });
             newChild.matchingChild.setSelectionCallback(newConfig.onSelect || null);
             newChild.matchingChild.setHoverCallback(newConfig.onHover || null);
@@ -909,10 +1021,11 @@ var Menu = class Menu {
             item.addMenuItem(newChild.matchingChild);
             newChild.matchingChild.onSettingsChange(this._settings);
           } else {
-            newChild.matchingChild.id    = newChild.id;
-            newChild.matchingChild.name  = newChild.name;
-            newChild.matchingChild.icon  = newChild.icon;
-            newChild.matchingChild.angle = newChild.angle;
+            newChild.matchingChild.id          = newChild.id;
+            newChild.matchingChild.name        = newChild.name;
+            newChild.matchingChild.icon        = newChild.icon;
+            newChild.matchingChild.angle       = newChild.angle;
+            newChild.matchingChild.accelerator = newChild.accelerator;
             newChild.matchingChild.setSelectionCallback(newConfig.onSelect || null);
             newChild.matchingChild.setHoverCallback(newConfig.onHover || null);
             newChild.matchingChild.setUnhoverCallback(newConfig.onUnhover || null);
@@ -948,6 +1061,10 @@ var Menu = class Menu {
     // This recursively updates all children based on the settings in structure.
     updateMenuItem(structure, this._root);
 
+    // Children which are provided lazily have been removed above. If they are visible,
+    // we have to load them again.
+    this._loadLazyChildren(this._menuPath[0]);
+
     // Re-idealize the trace. This can lead to pretty intense changes, but that's the way
     // it's supposed to be.
     let [x, y] = this._menuPath[0].get_transformed_position();
@@ -970,6 +1087,14 @@ var Menu = class Menu {
     if (this._root != undefined) {
       this._root.onSettingsChange(this._settings);
       this._root.redraw();
+
+      // The actual menu stays hidden while search results are shown.
+      this._root.visible = this._searchString == '';
+    }
+
+    if (this._searchRoot != undefined) {
+      this._searchRoot.onSettingsChange(this._settings);
+      this._searchRoot.redraw();
     }
   }
 
@@ -995,6 +1120,326 @@ var Menu = class Menu {
     }
   }
 
+  // This is called for each key press event while a menu is open (except for the escape
+  // key which is handled directly). The arrow keys and the number keys of the numpad
+  // hover the wedge in the corresponding direction, return selects the hovered item and
+  // backspace selects the parent item. If a printable character is the accelerator of a
+  // child, this child is selected directly. Else it starts a search across the entire
+  // menu; further characters refine the search and backspace removes the last one.
+  // Hovering and selecting is done via the SelectionWedges, so that the same signals are
+  // emitted as for pointer input. The second parameter is the function which is also
+  // used to emit selections for button release events.
+  _onKeyPress(event, emitSelection) {
+    const key = event.get_key_symbol();
+
+    // If a direction key is pressed, we hover the wedge in this direction.
+    const direction = this._getKeyDirection(key);
+
+    if (direction != null) {
+      // The five on the numpad hovers the center item.
+      if (direction < 0) {
+        this._selectionWedges.hoverChild(-1);
+      } else {
+        this._selectionWedges.hoverAngle(direction);
+      }
+
+      return;
+    }
+
+    // Return selects the currently hovered item.
+    if (key == Clutter.KEY_Return || key == Clutter.KEY_KP_Enter ||
+        key == Clutter.KEY_ISO_Enter) {
+      const index = this._selectionWedges.getHoveredChild();
+
+      if (index >= 0) {
+        const angle = this._menuPath[0].getChildMenuItems()[index].angle;
+        emitSelection(this._getKeyboardSelectionCoords(angle), event.get_state());
+      } else if (
+          this._menuPath.length > 1 &&
+          this._menuPath[1].getState() == MenuItemState.PARENT_HOVERED) {
+        emitSelection(this._getKeyboardSelectionCoords(this._menuPath[0].angle + 180));
+      }
+
+      return;
+    }
+
+    // During a search, backspace removes the last typed character. Else it navigates to
+    // the parent item (if there is any).
+    if (key == Clutter.KEY_BackSpace) {
+      if (this._searchString != '') {
+        this._setSearchString([...this._searchString].slice(0, -1).join(''));
+      } else if (this._selectionWedges.hoverParent()) {
+        emitSelection(this._getKeyboardSelectionCoords(this._menuPath[0].angle + 180));
+      }
+
+      return;
+    }
+
+    // Characters typed together with a modifier key (apart from shift) are ignored.
+    // These are most likely remnants of the shortcut which opened the menu.
+    const ignoredModifiers = Clutter.ModifierType.CONTROL_MASK |
+        Clutter.ModifierType.MOD1_MASK | Clutter.ModifierType.MOD4_MASK;
+
+    if ((event.get_state() & ignoredModifiers) != 0) {
+      return;
+    }
+
+    // All other printable characters are used for searching.
+    const unicode = Clutter.keysym_to_unicode(key);
+
+    if (unicode == 0) {
+      return;
+    }
+
+    const character = String.fromCodePoint(unicode);
+
+    // If no search is active, we check whether the character is the accelerator of any
+    // of the children. If so, this child is selected right away. As whitespace is never
+    // used as accelerator, the space key can be used to start a search with a character
+    // which is an accelerator.
+    if (this._searchString == '') {
+      const children = this._menuPath[0].getChildMenuItems();
+      const index =
+          children.findIndex((child) => child.accelerator == character.toLowerCase());
+
+      if (index >= 0) {
+        this._selectionWedges.hoverChild(index);
+        emitSelection(
+            this._getKeyboardSelectionCoords(children[index].angle), event.get_state());
+        return;
+      }
+    }
+
+    this._setSearchString(this._searchString + character);
+  }
+
+  // Returns the direction in degrees (clockwise, 0° at the top) which is associated with
+  // the given key symbol. This is used for the arrow keys and the number keys of the
+  // numpad. For the five on the numpad -1 is returned, for all other keys null.
+  _getKeyDirection(key) {
+    switch (key) {
+      case Clutter.KEY_Up:
+      case Clutter.KEY_KP_Up:
+      case Clutter.KEY_KP_8:
+        return 0;
+      case Clutter.KEY_KP_Page_Up:
+      case Clutter.KEY_KP_9:
+        return 45;
+      case Clutter.KEY_Right:
+      case Clutter.KEY_KP_Right:
+      case Clutter.KEY_KP_6:
+        return 90;
+      case Clutter.KEY_KP_Page_Down:
+      case Clutter.KEY_KP_3:
+        return 135;
+      case Clutter.KEY_Down:
+      case Clutter.KEY_KP_Down:
+      case Clutter.KEY_KP_2:
+        return 180;
+      case Clutter.KEY_KP_End:
+      case Clutter.KEY_KP_1:
+        return 225;
+      case Clutter.KEY_Left:
+      case Clutter.KEY_KP_Left:
+      case Clutter.KEY_KP_4:
+        return 270;
+      case Clutter.KEY_KP_Home:
+      case Clutter.KEY_KP_7:
+        return 315;
+      case Clutter.KEY_KP_Begin:
+      case Clutter.KEY_KP_5:
+        return -1;
+    }
+
+    return null;
+  }
+
+  // When an item is selected with the keyboard, there is no pointer position at which
+  // the selected item can be shown. Therefore this computes a position in the given
+  // direction (in degrees) at a distance of the minimum trace length from the center of
+  // the currently active item. The returned coordinates are in stage space.
+  _getKeyboardSelectionCoords(angle) {
+    const distance = this._settings.get_double('trace-min-length') *
+        this._settings.get_double('global-scale') * utils.getHDPIScale();
+
+    const x = this._selectionWedges.translation_x + this._background.x;
+    const y = this._selectionWedges.translation_y + this._background.y;
+
+    return [
+      Math.floor(x + Math.sin(angle * Math.PI / 180) * distance),
+      Math.floor(y - Math.cos(angle * Math.PI / 180) * distance)
+    ];
+  }
+
+  // This updates the search string and shows the best matching items of the entire menu
+  // tree as children of a temporary MenuItem at the position of the currently active
+  // item. The first result will be hovered. If an empty string is passed, the search is
+  // finished and the previously active item becomes active again.
+  _setSearchString(query) {
+    // Nothing to be done if there is no search which could be finished.
+    if (query == '' && this._searchString == '') {
+      return;
+    }
+
+    // The search results are shown at the position of the currently active item.
+    const x = this._selectionWedges.translation_x + this._background.x;
+    const y = this._selectionWedges.translation_y + this._background.y;
+
+    // If there is a currently hovered child (or search result), we may have to call the
+    // unhover signal.
+    const unhoveredIndex = this._menuPath[0].getActiveChildIndex();
+    this._unhoverChild(unhoveredIndex);
+
+    if (query == '') {
+      this._endSearch(this._searchOriginPath, x, y);
+      return;
+    }
+
+    // If this is the start of a new search, we store the current menu path so that it
+    // can be restored later. The actual menu is hidden during the search.
+    if (this._searchString == '') {
+      this._searchOriginPath = this._menuPath;
+      this._root.visible     = false;
+    }
+
+    this._searchString = query;
+    this._background.setSearchText(query);
+
+    // Now collect the menu paths of all matching items of the entire menu tree. Children
+    // which are provided lazily are only searched if they have been loaded already.
+    const results = [];
+
+    const collectResults = (path) => {
+      path[0].getChildMenuItems().forEach((child) => {
+        if (this._placeholders.has(child)) {
+          return;
+        }
+
+        const childPath = [child, ...path];
+        const score     = this._getSearchScore(child.name, query);
+
+        if (score > 0) {
+          results.push({path: childPath, score: score});
+        }
+
+        collectResults(childPath);
+      });
+    };
+
+    collectResults([this._root]);
+
+    // Sort the results by score. Items closer to the root come first if the score is the
+    // same.
+    results.sort((a, b) => b.score - a.score || a.path.length - b.path.length);
+    results.splice(MAX_SEARCH_RESULTS);
+
+    this._searchResults = results.map((result) => result.path);
+
+    // Replace the previous search results with a new temporary MenuItem. Its children
+    // are stand-ins for the original items. They share the ID and the callbacks of the
+    // original items so that all signals are reported as usual.
+    if (this._searchRoot) {
+      this._searchRoot.destroy();
+    }
+
+    this._searchRoot = new MenuItem({name: query, icon: 'edit-find-symbolic', angle: 0});
+
+    const itemAngles = utils.computeItemAngles(this._searchResults.map(() => ({})));
+
+    this._searchResults.forEach((path, index) => {
+      const original = path[0];
+      const child    = new MenuItem({
+           id: original.id,
+           name: original.name,
+           icon: original.icon,
+           angle: itemAngles[index],
+         });
+
+      child.setSelectionCallback(original.getSelectionCallback());
+      child.setHoverCallback(original.getHoverCallback());
+      child.setUnhoverCallback(original.getUnhoverCallback());
+
+      this._searchRoot.addMenuItem(child);
+    });
+
+    this._background.add_child(this._searchRoot);
+    this._searchRoot.set_translation(x - this._background.x, y - this._background.y, 0);
+
+    this._menuPath = [this._searchRoot];
+
+    this._searchRoot.setState(MenuItemState.CENTER_HOVERED, -1);
+    this._searchRoot.onSettingsChange(this._settings);
+    this._searchRoot.redraw();
+
+    this._selectionWedges.setItemAngles(itemAngles);
+
+    // Hover the best match.
+    if (this._searchResults.length > 0) {
+      this._selectionWedges.hoverChild(0);
+    }
+  }
+
+  // This removes the temporary search results and hides the search field. The given menu
+  // path becomes the active menu path of the actual menu; its first item will be shown
+  // at the given position.
+  _endSearch(menuPath, tipX, tipY) {
+    this._searchRoot.destroy();
+    this._searchRoot = null;
+
+    this._searchString     = '';
+    this._searchResults    = [];
+    this._searchOriginPath = null;
+    this._background.setSearchText('');
+
+    this._menuPath     = menuPath;
+    this._root.visible = true;
+
+    // The children of the found item have not necessarily been loaded yet.
+    this._loadLazyChildren(this._menuPath[0]);
+
+    this._resetState(tipX, tipY);
+  }
+
+  // Returns how well the given item name matches the given search query. All characters
+  // of the query (except for whitespace) have to be contained in the name in the same
+  // order, else zero is returned. Characters at the beginning of words and consecutive
+  // characters increase the score. Shorter names get a slightly higher score.
+  _getSearchScore(name, query) {
+    const haystack = name.toLowerCase();
+    const needle   = [...query.toLowerCase()].filter((c) => c.trim() != '');
+
+    if (needle.length == 0) {
+      return 0;
+    }
+
+    let score    = 0;
+    let position = -1;
+
+    for (const character of needle) {
+      const index = haystack.indexOf(character, position + 1);
+
+      if (index < 0) {
+        return 0;
+      }
+
+      score += 1;
+
+      // Matches at the beginning of a word count more.
+      if (index == 0 || !/[\p{L}\p{N}]/u.test(haystack[index - 1])) {
+        score += 2;
+      }
+
+      // Consecutive matches count more as well.
+      if (index == position + 1) {
+        score += 1;
+      }
+
+      position = index + character.length - 1;
+    }
+
+    return score + needle.length / haystack.length;
+  }
+
   // This is called whenever a menu is opened to position it on the screen. It will not
   // only move the root actor but also the selection wedges.
   _setPosition(x, y, doPointerWarp) {
@@ -1016,9 +1461,249 @@ var Menu = class Menu {
         [clampedX + this._background.x, clampedY + this._background.y], mods);
   }
 
-  // This assigns IDs and angles to each and every item. It also ensures that the root
-  // item has a name and an icon set.
+  // Creates a MenuItem for the given item of the menu structure. This is done
+  // recursively for all children. If the item has a children provider, it is stored in
+  // the MenuItem; the children will be created by _loadLazyChildren() once required.
+  _createMenuItem(item) {
+    const menuItem = new MenuItem({
+      id: item.id,
+      name: item.name,
+      icon: item.icon,
+      angle: item.angle,
+      accelerator: item.accelerator,
+    });
+
+    menuItem.setData(item.data != undefined ? item.data : null);
+    this._registerPlaceholder(item, menuItem);
+
+    if (item.children) {
+      // Recursively continue for all children.
+      item.children.forEach((child) => {
+        menuItem.addMenuItem(this._createMenuItem(child));
+      });
+    } else if (item.childrenProvider) {
+      // The children will be created once they are required.
+      menuItem.setChildrenProvider(this._getChildrenProvider(item));
+    } else {
+      // If there are no children, there may be a selection, a hover, or an unhover
+      // callback. We forward them to the item so that they can be called if required.
+      if (item.onSelect) {
+        menuItem.setSelectionCallback(item.onSelect);
+      }
+
+      if (item.onHover) {
+        menuItem.setHoverCallback(item.onHover);
+      }
+
+      if (item.onUnhover) {
+        menuItem.setUnhoverCallback(item.onUnhover);
+      }
+    }
+
+    return menuItem;
+  }
+
+  // Returns a function which calls the children provider of the given item of the menu
+  // structure. The returned children are stored in the item, so that they are kept when
+  // the structure is passed to update() later on. If the provider returns a promise, a
+  // placeholder is shown until the promise resolves. If the item has no children
+  // provider, null is returned.
+  _getChildrenProvider(item) {
+    if (!item.childrenProvider) {
+      return null;
+    }
+
+    return () => {
+      const provider = item.childrenProvider;
+      delete item.childrenProvider;
+      item.children = [];
+
+      const children = provider();
+
+      if (children instanceof Promise) {
+        item.childrenPromise = children;
+      } else {
+        item.children = children;
+      }
+
+      this._addLoadingPlaceholders([item]);
+
+      return item.children;
+    };
+  }
+
+  // Items of the menu structure may have a "childrenPromise" instead of a list of
+  // children. Until the promise resolves, such items get a single placeholder child.
+  // Once the children are available, they are stored in the menu structure and replace
+  // the MenuItem of the placeholder. This is done recursively for the given items and
+  // all of their children.
+  _addLoadingPlaceholders(items) {
+    items.forEach((item) => {
+      if (item.childrenPromise) {
+        const promise = item.childrenPromise;
+        delete item.childrenPromise;
+
+        const placeholder = {
+          name: _('Loading...'),
+          icon: LOADING_ICON,
+          isPlaceholder: true
+        };
+        item.children = [placeholder];
+
+        // If another menu is shown once the promise resolves, the children are not
+        // required anymore.
+        const structure = this._structure;
+
+        promise
+            .catch((error) => {
+              utils.debug('Failed to load children of "' + item.name + '": ' + error);
+              return [];
+            })
+            .then((children) => {
+              item.children = children;
+              this._addLoadingPlaceholders(children);
+
+              if (this._menuID != null && this._structure == structure) {
+                this._replacePlaceholder(placeholder, children);
+              }
+            });
+      }
+
+      if (item.children) {
+        this._addLoadingPlaceholders(item.children);
+      }
+    });
+  }
+
+  // This is called whenever a MenuItem is created or updated for an item of the menu
+  // structure. If the item is a placeholder, the MenuItem is remembered so that it can
+  // be replaced once the actual children are available.
+  _registerPlaceholder(item, menuItem) {
+    if (item.isPlaceholder) {
+      item.menuItem = menuItem;
+      this._placeholders.add(menuItem);
+    } else {
+      this._placeholders.delete(menuItem);
+    }
+  }
+
+  // Replaces the MenuItem of the given placeholder with MenuItems for the given
+  // children. Only the parent of the placeholder is modified, so the position of the
+  // menu, the hovered item, and any ongoing search are kept. If the placeholder has not
+  // been shown yet, nothing has to be done as the MenuItems will be created from the
+  // menu structure once required.
+  _replacePlaceholder(placeholder, children) {
+    const placeholderItem = placeholder.menuItem;
+
+    if (!placeholderItem || !this._placeholders.has(placeholderItem)) {
+      return;
+    }
+
+    // The MenuItems are stored in the children container of their parent MenuItem.
+    const parent = placeholderItem.get_parent().get_parent();
+    this._placeholders.delete(placeholderItem);
+    parent.removeMenuItem(placeholderItem);
+    placeholderItem.destroy();
+
+    // The new children are normalized in the same way as lazily loaded children.
+    const parentAngle = parent == this._root ? undefined : (parent.angle + 180) % 360;
+
+    if (!this._updateItemAngles(children, parentAngle)) {
+      utils.debug('Failed to load children of "' + parent.name + '": Invalid angles!');
+      return;
+    }
+
+    this._updateItemIDs(children, parent.id == '/' ? '' : parent.id);
+    this._updateItemAccelerators(children);
+
+    children.forEach((child) => {
+      const childItem = this._createMenuItem(child);
+      parent.addMenuItem(childItem);
+      childItem.onSettingsChange(this._settings);
+    });
+
+    // Now update the states of the new MenuItems. If the parent is the active item, the
+    // grandchildren have to be loaded and the SelectionWedges have to be updated as
+    // well. In this case, the previously hovered placeholder is not hovered anymore.
+    const activeItem = this._menuPath[0];
+
+    if (parent == activeItem) {
+      this._loadLazyChildren(parent);
+      activeItem.setState(activeItem.getState(), -1);
+
+      const itemAngles = parent.getChildMenuItems().map((child) => child.angle);
+
+      if (this._menuPath.length > 1) {
+        this._selectionWedges.setItemAngles(itemAngles, (parent.angle + 180) % 360);
+      } else {
+        this._selectionWedges.setItemAngles(itemAngles);
+      }
+    } else {
+      activeItem.setState(activeItem.getState(), activeItem.getActiveChildIndex());
+    }
+
+    this._root.redraw();
+  }
+
+  // The children of a MenuItem have to exist once it becomes the active item (as they
+  // are shown as its children) and once its parent becomes the active item (as they are
+  // shown as grandchildren). Therefore, this calls the children providers of the given
+  // MenuItem and of all of its children. The returned items are normalized in the same
+  // way as the structure passed to open() and the corresponding MenuItems are created.
+  _loadLazyChildren(menuItem) {
+    const load = (item) => {
+      const provider = item.getChildrenProvider();
+
+      if (provider == null) {
+        return;
+      }
+
+      item.setChildrenProvider(null);
+
+      let children = [];
+      try {
+        children = provider();
+      } catch (error) {
+        utils.debug('Failed to load children of "' + item.name + '": ' + error);
+      }
+
+      // Children providers may also return a promise. In this case, a placeholder is
+      // shown until the promise resolves.
+      if (children instanceof Promise) {
+        const config = {name: item.name, childrenPromise: children};
+        this._addLoadingPlaceholders([config]);
+        children = config.children;
+      }
+
+      // The root item has no parent, so no angular space has to be reserved for the
+      // link to the parent.
+      const parentAngle = item == this._root ? undefined : (item.angle + 180) % 360;
+
+      if (!this._updateItemAngles(children, parentAngle)) {
+        utils.debug('Failed to load children of "' + item.name + '": Invalid angles!');
+        return;
+      }
+
+      this._updateItemIDs(children, item.id == '/' ? '' : item.id);
+      this._updateItemAccelerators(children);
+
+      children.forEach((child) => {
+        const childItem = this._createMenuItem(child);
+        item.addMenuItem(childItem);
+        childItem.onSettingsChange(this._settings);
+      });
+    };
+
+    load(menuItem);
+    menuItem.getChildMenuItems().forEach(load);
+  }
+
+  // This assigns IDs, angles and accelerators to each and every item. It also ensures
+  // that the root item has a name and an icon set.
   _normalizeMenuStructure(structure) {
+    // Items whose children are created asynchronously get a placeholder child.
+    this._addLoadingPlaceholders([structure]);
+
     // Make sure that a name and an icon is set.
     if (structure.name == undefined) {
       structure.name = 'root';
@@ -1038,6 +1723,7 @@ var Menu = class Menu {
       }
 
       this._updateItemIDs(structure.children, '');
+      this._updateItemAccelerators(structure.children);
     }
 
     return 0;
@@ -1060,6 +1746,44 @@ var Menu = class Menu {
     }
   }
 
+  // This method recursively traverses the menu structure and assigns an accelerator
+  // character to each item. If an item already has a non-empty accelerator property,
+  // only its first character is used. All other items get the first character of their
+  // name which is not yet used by any of their siblings. If all characters of the name
+  // are taken, a free letter or digit is chosen. If there is none left, the item will
+  // have no accelerator. Accelerators are always lower-case.
+  _updateItemAccelerators(items) {
+
+    // First collect all accelerators which have been chosen explicitly.
+    const used = new Set();
+
+    items.forEach((item) => {
+      if (item.accelerator) {
+        item.accelerator = [...item.accelerator][0].toLowerCase();
+        used.add(item.accelerator);
+      }
+    });
+
+    // Then assign free characters to all other items.
+    items.forEach((item) => {
+      if (!item.accelerator) {
+        const candidates = [...(item.name || '').toLowerCase(), ...ACCELERATOR_FALLBACKS];
+        const character  = candidates.find(c => c.trim() != '' && !used.has(c));
+
+        item.accelerator = character || '';
+
+        if (character) {
+          used.add(character);
+        }
+      }
+
+      // Proceed recursively with the children.
+      if (item.children) {
+        this._updateItemAccelerators(item.children);
+      }
+    });
+  }
+
   // This method recursively traverses the menu structure and assigns an angle to each
   // item. If an item already has an angle property, this is considered a fixed angle and
   // all others are distributed more ore less evenly around. This method also reserves the
@@ -1289,7 +2013,17 @@ var Menu = class Menu {
       // callback so we create a copy here. close() has to be called before
       // _emitSelectSignal(), else any resulting action (like simulated key presses) may
       // be blocked by our input grab.
-      const menuID = this._menuID;
+      const menuID    = this._menuID;
+      const modifiers = this._selectionModifiers;
+
+      // The OnSelectEx signal also reports the path of the item in the menu tree and the
+      // modifier keys of the event which caused the selection.
+      const details = {
+        path: this._getItemPath(child),
+        name: child.name,
+        data: child.getData(),
+        modifiers: modifiers
+      };
       this.close();
       this._background.set_easing_delay(0);
 
@@ -1305,10 +2039,10 @@ var Menu = class Menu {
       // Then call the activation callback! Oftentimes, this will open a new window. We
       // make sure that this window is opened at the current pointer location!
       this._openNextWindowAtPointer();
-      child.getSelectionCallback()();
+      child.getSelectionCallback()(modifiers);
 
       // Report the selection over the D-Bus.
-      this._emitSelectSignal(menuID, child.id);
+      this._emitSelectSignal(menuID, child.id, details);
 
       // Finally, record this selection in the statistics. Parameters are selection depth,
       // time and whether a continuous gesture was used for the selection.
@@ -1317,6 +2051,21 @@ var Menu = class Menu {
     }
   }
 
+  // Returns the path of the given MenuItem like /0/2/1. Each element of the path is the
+  // index of the item among its siblings. The path of the root item is /.
+  _getItemPath(menuItem) {
+    const indices = [];
+
+    while (menuItem != this._root) {
+      // The MenuItems are stored in the children container of their parent MenuItem.
+      const parent = menuItem.get_parent().get_parent();
+      indices.unshift(parent.getChildMenuItems().indexOf(menuItem));
+      menuItem = parent;
+    }
+
+    return '/' + indices.join('/');
+  }
+
   // When executed, this function will move the first window created within the next two
   // seconds to the current location of the mouse pointer. This is always called when an
   // action is executed as many of them will potentially open windows.
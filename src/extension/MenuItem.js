@@ -8,8 +8,8 @@
 
 'use strict';
 
-const Cairo                                                = imports.cairo;
-const {Gio, GLib, Gdk, Clutter, GObject, Pango, GdkPixbuf} = imports.gi;
+const Cairo                                                            = imports.cairo;
+const {Gio, GLib, Gdk, Clutter, GObject, Pango, PangoCairo, GdkPixbuf} = imports.gi;
 
 const Me    = imports.misc.extensionUtils.getCurrentExtension();
 const utils = Me.imports.src.common.utils;
@@ -95,7 +95,11 @@ var MenuItem = GObject.registerClass({
       GObject.ParamFlags.READWRITE, 'image-missing'),
     'id': GObject.ParamSpec.string(
       'id', 'id', 'The ID of the menu item. ',
-      GObject.ParamFlags.READWRITE, 'image-missing')
+      GObject.ParamFlags.READWRITE, 'image-missing'),
+    'accelerator': GObject.ParamSpec.string(
+      'accelerator', 'accelerator', 'The character which selects this menu item. ' +
+      'It is shown as a small badge next to the icon.',
+      GObject.ParamFlags.READWRITE, '')
   },
   Signals: {}
 },
@@ -134,6 +138,15 @@ class MenuItem extends Clutter.Actor {
     this._hoverCallback   = null;
     this._unhoverCallback = null;
 
+    // If this is set, the child items of this menu item have not been created yet. This
+    // function will be called by the Menu once the children are actually required. It
+    // returns a list of child items in the same format as the menu structure.
+    this._childrenProvider = null;
+
+    // This can be an arbitrary payload which is reported together with the OnSelectEx
+    // D-Bus signal when this item is selected.
+    this._data = null;
+
     // Create Children Container. This eventually will contain one MenuItem for each child
     // item of this menu.
     this._childrenContainer = new Clutter.Actor();
@@ -182,6 +195,22 @@ class MenuItem extends Clutter.Actor {
     }
   }
 
+  get accelerator() {
+    if (this._accelerator === undefined) {
+      this._accelerator = '';
+    }
+
+    return this._accelerator;
+  }
+
+  set accelerator(value) {
+    if (this.accelerator !== value) {
+      this._accelerator = value || '';
+      this.notify('accelerator');
+      this._forceAcceleratorBadgeRecreation();
+    }
+  }
+
   // -------------------------------------------------------------------- public interface
 
   // This is called by the Menu to add child MenuItems to this MenuItem.
@@ -243,6 +272,28 @@ class MenuItem extends Clutter.Actor {
     return this._unhoverCallback;
   }
 
+  // This function will be called by the Menu to create the child items of this item once
+  // they are required. Can be set to null if the children have been created already.
+  setChildrenProvider(func) {
+    this._childrenProvider = func;
+  }
+
+  // Returns the children provider set above.
+  getChildrenProvider() {
+    return this._childrenProvider;
+  }
+
+  // The data payload is not used by the MenuItem itself. It will be reported over the
+  // D-Bus when the item is selected. Can be set to null if there is no payload.
+  setData(data) {
+    this._data = data;
+  }
+
+  // Returns the data payload set above.
+  getData() {
+    return this._data;
+  }
+
   // This is called during redraw() of the parent MenuItem. redraw() traverses the menu
   // tree top-to-bottom, so this will be called before the redraw() of this.
   setParentColor(color) {
@@ -338,6 +389,7 @@ class MenuItem extends Clutter.Actor {
       font:                    settings.get_string('font'),
       traceThickness:          settings.get_double('trace-thickness') * globalScale,
       traceColor:              Clutter.Color.from_string(settings.get_string('trace-color'))[1],
+      showAccelerators:        settings.get_boolean('show-accelerators'),
       state: new Map ([
         [MenuItemState.INVISIBLE, {
           colorMode:           '',
@@ -612,6 +664,10 @@ class MenuItem extends Clutter.Actor {
     this._iconContainer.set_size(100, 100);
     this._iconContainer.set_scale(settings.size / 100, settings.size / 100);
 
+    // Direct children of the center item show their accelerator character in a small
+    // badge at the lower right of their icon.
+    this._updateAcceleratorBadge(settings.size, easingDuration);
+
     // Now we update the trace line to the active child if we are in a parent state.
     if (this._state == MenuItemState.PARENT ||
         this._state == MenuItemState.PARENT_HOVERED) {
@@ -906,8 +962,106 @@ class MenuItem extends Clutter.Actor {
     return actor;
   }
 
+  // This creates a Clutter.Actor with an attached Clutter.Canvas containing a circular
+  // badge of the given size. The given character (usually the accelerator of a
+  // MenuItem) is cut out of a circle drawn with the given text color.
+  static createAcceleratorBadge(character, size, textColor, font) {
+
+    const canvas = new Clutter.Canvas({height: size, width: size});
+    canvas.connect('draw', (c, ctx, width, height) => {
+      // Clear any previous content.
+      ctx.setOperator(Cairo.Operator.CLEAR);
+      ctx.paint();
+      ctx.setOperator(Cairo.Operator.OVER);
+
+      // Draw the circle.
+      ctx.arc(size / 2, size / 2, size / 2, 0, 2.0 * Math.PI);
+      ctx.setSourceRGBA(
+          textColor.red / 255, textColor.green / 255, textColor.blue / 255,
+          textColor.alpha / 255);
+      ctx.fill();
+
+      // Then cut out the character. The font size is chosen so that the character covers
+      // roughly two thirds of the circle.
+      const fontDescription = Pango.FontDescription.from_string(font);
+      fontDescription.set_absolute_size(Pango.units_from_double(size * 0.6));
+
+      const layout = PangoCairo.create_layout(ctx);
+      layout.set_font_description(fontDescription);
+      layout.set_text(character.toUpperCase(), -1);
+
+      const extents = layout.get_pixel_extents()[1];
+      ctx.translate(
+          (size - extents.width) / 2 - extents.x,
+          (size - extents.height) / 2 - extents.y);
+
+      ctx.setOperator(Cairo.Operator.CLEAR);
+      PangoCairo.update_layout(ctx, layout);
+      PangoCairo.show_layout(ctx, layout);
+
+      // Explicitly tell Cairo to free the context memory. Is this really necessary?
+      // https://wiki.gnome.org/Projects/GnomeShell/Extensions/TipsOnMemoryManagement#Cairo
+      ctx.$dispose();
+    });
+
+    // Apply HiDPI scaling and trigger an initial 'draw' signal emission. The call to
+    // set_scale_factor() will automatically invalidate the canvas.
+    if (utils.getHDPIResourceScale() != 1) {
+      canvas.set_scale_factor(utils.getHDPIResourceScale());
+    } else {
+      canvas.invalidate();
+    }
+
+    // Create a new actor and set the badge canvas to be its content.
+    const actor = new Clutter.Actor({height: size, width: size});
+    actor.set_content(canvas);
+
+    return actor;
+  }
+
   // ----------------------------------------------------------------------- private stuff
 
+  // This shows the accelerator badge if this is a direct child of the center item and
+  // hides it in all other cases. The badge is created lazily. The given size is the
+  // current size of this item's icon, the badge is placed at its lower right.
+  _updateAcceleratorBadge(iconSize, easingDuration) {
+
+    const visible = MenuItemSettings.showAccelerators && this.accelerator != '' &&
+        (this._state == MenuItemState.CHILD ||
+         this._state == MenuItemState.CHILD_HOVERED);
+
+    // The badge's size depends only on the size of non-hovered children.
+    const badgeSize =
+        Math.floor(MenuItemSettings.state.get(MenuItemState.CHILD).size * 0.4);
+
+    if (visible && this._acceleratorBadge == undefined && badgeSize > 0) {
+      this._acceleratorBadge = MenuItem.createAcceleratorBadge(
+          this.accelerator, badgeSize, MenuItemSettings.textColor, MenuItemSettings.font);
+      this._acceleratorBadge.set_opacity(0);
+      this.add_child(this._acceleratorBadge);
+    }
+
+    if (this._acceleratorBadge != undefined) {
+      this._acceleratorBadge.set_easing_duration(easingDuration);
+      this._acceleratorBadge.set_easing_mode(MenuItemSettings.easingMode);
+      this._acceleratorBadge.set_opacity(visible ? 255 : 0);
+
+      // Place the badge's center on the icon's circle at the lower right.
+      const offset = Math.floor(iconSize * 0.35 - badgeSize / 2);
+      this._acceleratorBadge.set_translation(offset, offset, 0);
+    }
+  }
+
+  // This deletes the accelerator badge, triggering its recreation during the next call
+  // to redraw(). This is used when settings are changed and when the accelerator
+  // property of this is changed.
+  _forceAcceleratorBadgeRecreation() {
+    if (this._acceleratorBadge != undefined) {
+      this._acceleratorBadge.destroy();
+      delete this._acceleratorBadge;
+    }
+  }
+
   // This is called once after construction and then whenever something in the appearance
   // settings has changed. This calls itself recursively on the entire menu tree below
   // this MenuItem.
@@ -918,6 +1072,7 @@ class MenuItem extends Clutter.Actor {
     // this in any case. This could be optimized by limiting this to the cases where
     // settings keys were changed which actually affect the icons.
     this._forceIconRecreation();
+    this._forceAcceleratorBadgeRecreation();
 
     // Most of the settings will come into effect during the call to redraw(). However,
     // some name settings we can apply here as they won't be affected by state changes.
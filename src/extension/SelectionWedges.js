@@ -370,10 +370,8 @@ class SelectionWedges extends Clutter.Actor {
   onMotionEvent(coords, state) {
     const [ok, x, y] = this.transform_stage_point(coords[0], coords[1]);
 
-    const distance             = Math.sqrt(x * x + y * y);
-    let hoveredWedge           = -1;
-    let hoveredWedgeStartAngle = 0;
-    let hoveredWedgeEndAngle   = 0;
+    const distance   = Math.sqrt(x * x + y * y);
+    let hoveredWedge = -1;
 
     // There is only something hovered if the pointer is outside the inner circle.
     if (distance > this._settings.wedgeInnerRadius) {
@@ -385,45 +383,12 @@ class SelectionWedges extends Clutter.Actor {
       // Turn 0° up.
       angle = (angle + 90) % 360;
 
-      // If there is only one full 360°-wedge, it is hovered.
-      if (this._itemAngles.length == 1) {
-        hoveredWedge           = 0;
-        hoveredWedgeStartAngle = 0;
-        hoveredWedgeEndAngle   = 360;
-      }
-
       // Now search the wedge the pointer resides in currently.
-      for (let i = 0; i < this._separatorAngles.length; i++) {
-        const startAngle = this._separatorAngles[i];
-        let endAngle     = this._separatorAngles[(i + 1) % this._separatorAngles.length];
-
-        // Make sure we wrap around.
-        if (endAngle < startAngle) {
-          endAngle += 360;
-        }
-
-        if ((angle > startAngle && angle <= endAngle) ||
-            (angle + 360 > startAngle && angle + 360 <= endAngle)) {
-          hoveredWedge           = i;
-          hoveredWedgeStartAngle = startAngle;
-          hoveredWedgeEndAngle   = endAngle;
-          break
-        }
-      }
+      hoveredWedge = this._getWedgeAt(angle);
     }
 
-    // Update uniforms only if hovered wedge changed.
-    if (hoveredWedge != this._hoveredWedge) {
-      this._setFloatUniform('startAngle', hoveredWedgeStartAngle);
-      this._setFloatUniform('endAngle', hoveredWedgeEndAngle);
-      this._hoveredWedge = hoveredWedge;
-
-      if (hoveredWedge >= 0 && hoveredWedge == this._parentIndex) {
-        this.emit('parent-hovered-event');
-      } else {
-        this.emit('child-hovered-event', this.getHoveredChild());
-      }
-    }
+    // This will emit the hover signals if the hovered wedge changed.
+    this._setHoveredWedge(hoveredWedge);
 
     // Now we try to detect gestures. This is done only if either the left mouse button is
     // pressed or a modifier key is held down. Consider the diagram below:
@@ -530,6 +495,40 @@ class SelectionWedges extends Clutter.Actor {
   }
 
 
+  // This hovers the wedge which is in the given direction. This is used for keyboard
+  // navigation and behaves as if the pointer was moved in this direction; the
+  // corresponding hover signals are emitted if the hovered wedge changes. The angle is in
+  // degrees, clockwise, 0° at the top.
+  hoverAngle(angle) {
+    this._setHoveredWedge(this._getWedgeAt(angle));
+  }
+
+  // This hovers the wedge of the child with the given index. If -1 is passed, no wedge
+  // will be hovered (as if the pointer was in the center of the menu). The corresponding
+  // hover signals are emitted if the hovered wedge changes.
+  hoverChild(index) {
+    let wedge = index;
+
+    // There is a parent wedge - all children after the parent wedge have their wedge
+    // index increased by one.
+    if (index >= 0 && this._parentIndex >= 0 && index >= this._parentIndex) {
+      wedge += 1;
+    }
+
+    this._setHoveredWedge(wedge);
+  }
+
+  // This hovers the parent wedge. It returns false if there is no parent wedge.
+  hoverParent() {
+    if (this._parentIndex < 0) {
+      return false;
+    }
+
+    this._setHoveredWedge(this._parentIndex);
+
+    return true;
+  }
+
   // Returns true if the left or right button is pressed, or a modifier is held down (for
   // the "Turbo-Mode"). Thanks to the Super+RMB mode, we can actually select items with
   // the right mouse button...
@@ -561,6 +560,68 @@ class SelectionWedges extends Clutter.Actor {
 
   // ----------------------------------------------------------------------- private stuff
 
+  // Returns the index of the wedge which contains the given angle. The angle is in
+  // degrees, clockwise, 0° at the top. If there are no wedges at all, -1 is returned.
+  _getWedgeAt(angle) {
+
+    // If there is only one full 360°-wedge, it is always the one.
+    if (this._itemAngles.length == 1) {
+      return 0;
+    }
+
+    for (let i = 0; i < this._separatorAngles.length; i++) {
+      const [startAngle, endAngle] = this._getWedgeBounds(i);
+
+      if ((angle > startAngle && angle <= endAngle) ||
+          (angle + 360 > startAngle && angle + 360 <= endAngle)) {
+        return i;
+      }
+    }
+
+    return -1;
+  }
+
+  // Returns the start and end angle of the wedge with the given index. The end angle may
+  // be larger than 360° if the wedge wraps around at the top.
+  _getWedgeBounds(wedge) {
+
+    // If there is only one full 360°-wedge, it covers everything.
+    if (this._separatorAngles.length == 0) {
+      return [0, 360];
+    }
+
+    const startAngle = this._separatorAngles[wedge];
+    let endAngle     = this._separatorAngles[(wedge + 1) % this._separatorAngles.length];
+
+    // Make sure we wrap around.
+    if (endAngle < startAngle) {
+      endAngle += 360;
+    }
+
+    return [startAngle, endAngle];
+  }
+
+  // Makes the wedge with the given index the hovered wedge. Pass -1 to hover no wedge at
+  // all. If the hovered wedge changes, the wedge highlight is updated and either the
+  // 'parent-hovered-event' or the 'child-hovered-event' is emitted.
+  _setHoveredWedge(wedge) {
+
+    // Update uniforms only if hovered wedge changed.
+    if (wedge != this._hoveredWedge) {
+      const [startAngle, endAngle] = wedge >= 0 ? this._getWedgeBounds(wedge) : [0, 0];
+
+      this._setFloatUniform('startAngle', startAngle);
+      this._setFloatUniform('endAngle', endAngle);
+      this._hoveredWedge = wedge;
+
+      if (wedge >= 0 && wedge == this._parentIndex) {
+        this.emit('parent-hovered-event');
+      } else {
+        this.emit('child-hovered-event', this.getHoveredChild());
+      }
+    }
+  }
+
   // Clutter.ShaderEffect.set_uniform_value() works well if floating point Numbers are
   // passed to the method. However, when you pass an integer Number, an OpenGL error
   // (1282, Invalid operation) is thrown. It seems that the implementation assumes in this
@@ -292,6 +292,17 @@ var MenuEditorPage = class MenuEditorPage {
                 throw 'The JSON file should contain an array of menu configurations!';
               }
 
+              // Check all configurations before anything is modified. If there are
+              // errors, the detailed diagnostics are shown in the error dialog below.
+              const diagnostics = [];
+              configs.forEach((config, i) => {
+                diagnostics.push(...ItemRegistry.validateConfig(config, '$[' + i + ']'));
+              });
+
+              if (ItemRegistry.hasErrors(diagnostics)) {
+                throw ItemRegistry.formatDiagnostics(diagnostics);
+              }
+
               configs.forEach(config => ItemRegistry.normalizeConfig(config));
 
               this._settings.set_string('menu-configuration', JSON.stringify(configs));
@@ -533,6 +544,15 @@ var MenuEditorPage = class MenuEditorPage {
       }
     });
 
+    // Save the menu configuration when the accelerator of an item is changed. An empty
+    // accelerator means that one will be chosen automatically.
+    this._builder.get_object('item-accelerator').connect('notify::text', (widget) => {
+      if (!this._updatingSidebar && this._selectedItem) {
+        this._selectedItem.accelerator = widget.text;
+        this._saveMenuConfiguration();
+      }
+    });
+
     // Update the item's fixed angle when the corresponding input field is changed. This
     // is a bit more involved, as we check for monotonically increasing angles among all
     // sibling items. We iterate through all children of the selected item's parent (that
@@ -844,14 +864,18 @@ var MenuEditorPage = class MenuEditorPage {
       this._showInfoLabel(ItemRegistry.getItemTypes()[selectedType].description);
 
       // If the selected item is a top-level menu, update the shortcut, else the item
-      // angle.
+      // angle and accelerator. The conditions are available for both.
       if (toplevelSelected) {
         this._menuShortcutLabel.set_accelerator(this._selectedItem.shortcut || '');
         this._builder.get_object('menu-centered').active = this._selectedItem.centered;
         this._builder.get_object('touch-button').active  = this._selectedItem.touchButton;
         this._builder.get_object('super-rmb').active     = this._selectedItem.superRMB;
+        this._updateConditionsWidget('menu-conditions-box');
       } else {
         this._builder.get_object('item-angle').value = this._selectedItem.angle;
+        this._builder.get_object('item-accelerator').text =
+            this._selectedItem.accelerator || '';
+        this._updateConditionsWidget('item-conditions-box');
       }
 
       // Now we check whether the selected item has a config property.
@@ -898,6 +922,29 @@ var MenuEditorPage = class MenuEditorPage {
     }
   }
 
+  // This re-creates the widgets for editing the conditions of the currently selected
+  // item. They are added to the Gtk.Box with the given ID. Top-level menus and all other
+  // items use different boxes, as they are shown in different revealers.
+  _updateConditionsWidget(boxID) {
+    const box = this._builder.get_object(boxID);
+    utils.clearChildren(box);
+
+    const widget = ConfigWidgetFactory.createConditionsWidget(
+        this._selectedItem.conditions, (conditions) => {
+          if (!this._updatingSidebar) {
+            this._selectedItem.conditions = conditions;
+            this._saveMenuConfiguration();
+          }
+        });
+
+    // We have to show the new widget on GTK3 manually.
+    if (!utils.gtk4()) {
+      widget.show_all();
+    }
+
+    utils.boxAppend(box, widget);
+  }
+
   // This updates the menu path visualization at the top of the menu editor. It shows the
   // current selection chain and allow for navigating to parent levels.
   _updateBreadCrumbs() {
@@ -188,8 +188,18 @@ var SettingsPage = class SettingsPage {
     this._bindSlider('gesture-min-stroke-length');
     this._bindSlider('gesture-min-stroke-angle');
     this._bindSwitch('hover-mode');
+    this._bindSwitch('show-accelerators');
     this._bindSwitch('show-screencast-mouse');
     this._bindSwitch('achievement-notifications');
+    this._bindCombobox('clipboard-persistence');
+    this._bindSlider('clipboard-max-entries');
+    this._bindSlider('clipboard-max-age');
+    this._bindSlider('clipboard-max-size');
+    this._bind('clipboard-excluded-apps', 'text');
+    this._bindSwitch('clipboard-track-primary');
+    this._bindCombobox('paste-strategy');
+    this._bind('paste-strategy-overrides', 'text');
+    this._bindSwitch('paste-restore-clipboard');
   }
 
   // Disconnects all settings connections.
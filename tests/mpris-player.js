@@ -0,0 +1,119 @@
+#!/usr/bin/env gjs
+
+//////////////////////////////////////////////////////////////////////////////////////////
+//        ___            _     ___                                                      //
+//        |   |   \/    | ) |  |           This software may be modified and distri-    //
+//    O-  |-  |   |  -  |   |  |-  -O      buted under the terms of the MIT license.    //
+//        |   |_  |     |   |  |_          See the LICENSE file for details.            //
+//                                                                                      //
+//////////////////////////////////////////////////////////////////////////////////////////
+
+'use strict';
+
+const {Gio, GLib} = imports.gi;
+
+//////////////////////////////////////////////////////////////////////////////////////////
+// This is a minimal stand-in for a media player which implements the MPRIS D-Bus       //
+// interface. It is used by run-test.sh to test the Media Players menu. The name of     //
+// each called method is appended to the file given as first argument.                  //
+//////////////////////////////////////////////////////////////////////////////////////////
+
+const BUS_NAME    = 'org.mpris.MediaPlayer2.flypietest';
+const OBJECT_PATH = '/org/mpris/MediaPlayer2';
+const LOG_FILE    = ARGV[0] || 'mpris.log';
+
+const ROOT_INTERFACE = '<node>                                                           \
+  <interface name="org.mpris.MediaPlayer2">                                              \
+    <method name="Raise"/>                                                               \
+    <method name="Quit"/>                                                                \
+    <property name="Identity"     type="s" access="read"/>                               \
+    <property name="DesktopEntry" type="s" access="read"/>                               \
+  </interface>                                                                           \
+</node>';
+
+const PLAYER_INTERFACE = '<node>                                                         \
+  <interface name="org.mpris.MediaPlayer2.Player">                                       \
+    <method name="PlayPause"/>                                                           \
+    <method name="Next"/>                                                                \
+    <method name="Previous"/>                                                            \
+    <method name="Seek">                                                                 \
+      <arg name="Offset" type="x" direction="in"/>                                       \
+    </method>                                                                            \
+    <property name="PlaybackStatus" type="s"     access="read"/>                         \
+    <property name="Metadata"       type="a{sv}" access="read"/>                         \
+    <property name="Volume"         type="d"     access="readwrite"/>                    \
+    <property name="CanPlay"        type="b"     access="read"/>                         \
+    <property name="CanPause"       type="b"     access="read"/>                         \
+    <property name="CanGoNext"      type="b"     access="read"/>                         \
+    <property name="CanGoPrevious"  type="b"     access="read"/>                         \
+    <property name="CanSeek"        type="b"     access="read"/>                         \
+  </interface>                                                                           \
+</node>';
+
+// Appends the given line to the log file.
+const logCall = (line) => {
+  let contents = '';
+  if (GLib.file_test(LOG_FILE, GLib.FileTest.EXISTS)) {
+    contents = imports.byteArray.toString(GLib.file_get_contents(LOG_FILE)[1]);
+  }
+
+  GLib.file_set_contents(LOG_FILE, contents + line + '\n');
+};
+
+const root = {
+  Identity: 'Fly-Pie Test Player',
+  DesktopEntry: '',
+  Raise() {
+    logCall('Raise');
+  },
+  Quit() {
+    logCall('Quit');
+  }
+};
+
+const player = {
+  PlaybackStatus: 'Paused',
+  Metadata: {
+    'xesam:title': new GLib.Variant('s', 'Test Track'),
+    'xesam:artist': new GLib.Variant('as', ['Test Artist'])
+  },
+  Volume: 0.5,
+  CanPlay: true,
+  CanPause: true,
+  CanGoNext: true,
+  CanGoPrevious: true,
+  CanSeek: true,
+  PlayPause() {
+    logCall('PlayPause');
+  },
+  Next() {
+    logCall('Next');
+  },
+  Previous() {
+    logCall('Previous');
+  },
+  Seek(offset) {
+    logCall('Seek ' + offset);
+  }
+};
+
+// Export both interfaces once we own the bus name. If this fails, we quit right away.
+const loop = new GLib.MainLoop(null, false);
+
+const onBusAcquired = (connection) => {
+  const rootObject   = Gio.DBusExportedObject.wrapJSObject(ROOT_INTERFACE, root);
+  const playerObject = Gio.DBusExportedObject.wrapJSObject(PLAYER_INTERFACE, player);
+  rootObject.export(connection, OBJECT_PATH);
+  playerObject.export(connection, OBJECT_PATH);
+};
+
+const onNameLost = () => {
+  printerr('Failed to acquire ' + BUS_NAME + '.');
+  loop.quit();
+};
+
+Gio.bus_own_name(
+    Gio.BusType.SESSION, BUS_NAME, Gio.BusNameOwnerFlags.NONE, onBusAcquired, null,
+    onNameLost);
+
+loop.run();
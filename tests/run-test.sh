@@ -132,6 +132,7 @@ do_in_pod wait-user-bus.sh > /dev/null 2>&1
 
 echo "Installing extension."
 podman cp "tests/references" "${POD}:/home/gnomeshell/references"
+podman cp "tests/mpris-player.js" "${POD}:/home/gnomeshell/mpris-player.js"
 podman cp "${EXTENSION}.zip" "${POD}:/home/gnomeshell"
 do_in_pod gnome-extensions install "${EXTENSION}.zip"
 do_in_pod gnome-extensions enable "${EXTENSION}"
@@ -181,4 +182,25 @@ move_mouse_to_target "references/default_menu.png" "Failed to find item of the d
 send_click 1
 sleep 2
 
+# Then we start a stand-in media player and open a custom menu containing a Media Players
+# menu. Selecting the first item of the player's submenu should call its PlayPause method.
+# As the players are queried asynchronously, we wait a bit before selecting the item.
+echo "Controlling a media player."
+podman exec --detach --user gnomeshell --workdir /home/gnomeshell "${POD}" set-env.sh \
+  gjs mpris-player.js mpris.log
+sleep 2
+do_in_pod gdbus call --session --dest org.gnome.Shell \
+  --object-path /org/gnome/shell/extensions/flypie \
+  --method org.gnome.Shell.Extensions.flypie.ShowCustomMenu \
+  '{"children": [{"name": "Players", "icon": "audio-x-generic", "type": "MediaPlayers"}]}'
+sleep 2
+do_in_pod gdbus call --session --dest org.gnome.Shell \
+  --object-path /org/gnome/shell/extensions/flypie \
+  --method org.gnome.Shell.Extensions.flypie.SelectItem '/0/0/0'
+sleep 2
+
+if [[ "$(do_in_pod cat mpris.log || true)" != *PlayPause* ]]; then
+  fail "Failed to control the media player!"
+fi
+
 echo "All tests executed successfully."